@@ -0,0 +1,68 @@
+const {EventEmitter} = require('events')
+
+/**
+ * A handle scoped to a single document. Created via `hm.handle(docId)`.
+ *
+ * Emits `change` (doc, info) whenever the document changes, locally or
+ * remotely, and `remote` (doc) when the change was downloaded from another
+ * actor. `info` is the same as for the `document:changed` event.
+ */
+class DocHandle extends EventEmitter {
+  constructor (hm, docId) {
+    super()
+    this.hm = hm
+    this.docId = docId
+    this.closed = false
+  }
+
+  /**
+   * The current automerge document.
+   *
+   * @type {Document}
+   */
+  get value () {
+    return this.hm.find(this.docId)
+  }
+
+  /**
+   * The root metadata of the document.
+   *
+   * @type {object}
+   */
+  get metadata () {
+    return this.hm.metadata(this.docId)
+  }
+
+  /**
+   * The actorIds of every hypercore feed that makes up the document.
+   *
+   * @type {string[]}
+   */
+  get actors () {
+    return (this.hm.docIndex[this.docId] || []).slice()
+  }
+
+  /**
+   * Changes the document and records the change in the writable feed.
+   *
+   * @param {string} [message] - change message
+   * @param {function} changeFn - receives a mutable copy of the document
+   * @returns {Document}
+   */
+  change (message, changeFn) {
+    return this.hm.change(this.value, message, changeFn)
+  }
+
+  /**
+   * Stops receiving events for the document. The document stays open.
+   */
+  close () {
+    if (this.closed) return
+
+    this.closed = true
+    this.hm._removeHandle(this)
+    this.removeAllListeners()
+  }
+}
+
+module.exports = DocHandle
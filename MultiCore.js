@@ -1,4 +1,7 @@
 const {EventEmitter} = require('events')
+const fs = require('fs')
+const path = require('path')
+const raf = require('random-access-file')
 const protocol = require('hypercore-protocol')
 const Archiver = require('hypercore-archiver')
 const hypercore = require('hypercore')
@@ -6,6 +9,8 @@ const crypto = require('hypercore/lib/crypto')
 const thunky = require('thunky')
 const toBuffer = require('to-buffer')
 
+const FEED_FILES = ['key', 'secret_key', 'tree', 'data', 'bitfield', 'signatures']
+
 // Monkey-patch hypercore-archiver so we can create a Hypercore
 // directly in the archive
 
@@ -33,10 +38,8 @@ Archiver.prototype.createFeed = function (key, opts) {
 
   return feed
 
-  // copied from hypercore-archiver.prototype._add()
   function storage (key) {
-    var dk = hypercore.discoveryKey(key).toString('hex')
-    var prefix = dk.slice(0, 2) + '/' + dk.slice(2, 4) + '/' + dk.slice(4) + '/'
+    var prefix = feedPrefix(key)
 
     return function (name) {
       return self.storage.feeds(prefix + name)
@@ -44,10 +47,18 @@ Archiver.prototype.createFeed = function (key, opts) {
   }
 }
 
+// copied from hypercore-archiver.prototype._add()
+function feedPrefix (key) {
+  var dk = hypercore.discoveryKey(toBuffer(key, 'hex')).toString('hex')
+  return dk.slice(0, 2) + '/' + dk.slice(2, 4) + '/' + dk.slice(4) + '/'
+}
+
 class Multicore extends EventEmitter {
   constructor (storage, opts) {
     super()
     opts = opts || {}
+    this.storage = storage
+    this.streams = []
     this.archiver = new Archiver(storage)
     this.ready = thunky(open)
     const self = this
@@ -61,6 +72,13 @@ class Multicore extends EventEmitter {
     }
   }
 
+  // random-access storage for files kept alongside the archiver's
+  createStorage (name) {
+    return typeof this.storage === 'string'
+      ? raf(path.join(this.storage, name))
+      : this.storage(name)
+  }
+
   createFeed (key, opts) {
     if (!this.opened) {
       throw new Error('multicore not ready, use .ready()')
@@ -68,6 +86,50 @@ class Multicore extends EventEmitter {
     return this.archiver.createFeed(key, opts)
   }
 
+  // Removes a feed from the archiver. With opts.purge, also deletes its files.
+  removeFeed (key, opts, cb) {
+    if (typeof opts === 'function') return this.removeFeed(key, {}, opts)
+    cb = cb || noop
+
+    const self = this
+    const archiver = this.archiver
+
+    archiver.remove(key, err => {
+      if (err || !opts.purge) return cb(err)
+
+      const prefix = feedPrefix(key)
+      let missing = FEED_FILES.length
+      let error = null
+
+      FEED_FILES.forEach(name => {
+        archiver.storage.feeds(prefix + name).destroy(ondestroy)
+      })
+
+      function ondestroy (err) {
+        if (err && err.code !== 'ENOENT' && !error) error = err
+        if (--missing) return
+        if (error) return cb(error)
+        self._removeDirs('feeds/' + prefix, cb)
+      }
+    })
+  }
+
+  // Removes empty directories left behind in file storage, deepest first.
+  _removeDirs (prefix, cb) {
+    if (typeof this.storage !== 'string') return process.nextTick(cb, null)
+
+    const root = this.storage
+    const parts = prefix.split('/').filter(part => part)
+    const dirs = parts.map((_, i) => path.join(root, ...parts.slice(0, parts.length - i)))
+
+    loop()
+
+    function loop () {
+      if (!dirs.length) return cb(null)
+      fs.rmdir(dirs.shift(), err => err ? cb(null) : loop())
+    }
+  }
+
   replicate (opts) {
     if (!opts) opts = {}
 
@@ -83,6 +145,13 @@ class Multicore extends EventEmitter {
       extensions: ['hypermerge']
     })
 
+    const streams = this.streams
+    streams.push(stream)
+    stream.on('close', () => {
+      const i = streams.indexOf(stream)
+      if (i !== -1) streams.splice(i, 1)
+    })
+
     stream.on('feed', add)
     if (opts.channel || opts.discoveryKey) add(opts.channel || opts.discoveryKey)
 
@@ -142,6 +211,25 @@ class Multicore extends EventEmitter {
 
     return stream
   }
+
+  close (cb) {
+    cb = cb || noop
+
+    this.streams.slice().forEach(stream => stream.destroy())
+
+    const feeds = Object.values(this.archiver.feeds).concat(this.archiver.changes)
+    let missing = feeds.length
+    let error = null
+
+    feeds.forEach(feed => feed.close(onclose))
+
+    function onclose (err) {
+      if (err && !error) error = err
+      if (--missing === 0) cb(error)
+    }
+  }
 }
 
+function noop () {}
+
 module.exports = Multicore
@@ -25,9 +25,8 @@ module.exports = class Channel extends EventEmitter {
     if (!this.channelKey) {
       // We're starting a new channel here, so first
       // initialize the new channel document data structure.
-      hm.create()
-      hm.once('document:ready', (docId, doc) => {
-        this.channelKey = docId
+      hm.create().then(doc => {
+        this.channelKey = hm.getId(doc)
         this.doc = hm.change(doc, changeDoc => {
           changeDoc.messages = {}
         })
@@ -35,8 +34,7 @@ module.exports = class Channel extends EventEmitter {
       })
     } else {
       console.log('Searching for chat channel on network...')
-      hm.open(this.channelKey)
-      hm.once('document:ready', (docId, doc) => { this.ready(doc) })
+      hm.open(this.channelKey).then(doc => { this.ready(doc) })
     }
   }
 
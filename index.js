@@ -1,14 +1,24 @@
 const EventEmitter = require('events')
+const {Readable} = require('stream')
 const Automerge = require('automerge')
 const MultiCore = require('./MultiCore')
+const DocHandle = require('./DocHandle')
 const discoverySwarm = require('discovery-swarm')
 const swarmDefaults = require('datland-swarm-defaults')
 
 // The first block is used for metadata:
 const START_BLOCK = 1
+// Maximum number of blocks requested from a feed at once:
+const BATCH_SIZE = 100
 const METADATA = {
   hypermerge: 1
 }
+// Metadata keys that identify a feed, and can't be changed with setMetadata():
+const RESERVED_METADATA = ['hypermerge', 'docId', 'groupId', 'parentId']
+// Automerge can't apply a change without ops right after another one, so
+// changes that carry no edits (e.g. metadata updates) delete keys starting with
+// this, which no document has. A marker stays in the doc's op set once deleted:
+const MARKER_KEY = '_hypermerge'
 
 /**
  * An Automerge document.
@@ -22,24 +32,59 @@ const METADATA = {
  * @param {string} options.path - path to directory used to store multiple
  *   hypercores
  * @param {number} [options.port=0] - port number to listen on
+ * @param {number} [options.snapshotInterval=100] - number of changes to a
+ *   document between local snapshots. 0 disables snapshots.
+ * @param {number} [options.maxDocs=Infinity] - number of documents kept in
+ *   memory. The least recently used documents are unloaded beyond this.
+ * @param {number} [options.maxUndo=100] - number of changes to each
+ *   document that can be undone. Older ones are dropped beyond this.
+ * @param {function} [options.validate] - called with (doc, docId) after
+ *   every change to a document without a validator of its own. Returning
+ *   false or throwing marks the doc as invalid. See `setValidator()`.
  */
 
 module.exports = class Hypermerge extends EventEmitter {
-  constructor ({path, port = 0, immutableApi = false, defaultMetadata}) {
+  constructor ({path, port = 0, immutableApi = false, defaultMetadata, snapshotInterval = 100, maxDocs = Infinity, maxUndo = 100, validate = null}) {
     super()
 
     this.immutableApi = immutableApi
+    this.snapshotInterval = snapshotInterval
+    this.maxDocs = maxDocs
+    this.maxUndo = maxUndo
+    this.validate = validate
     this.defaultMetadata = defaultMetadata || {}
     this.port = port
     this.isReady = false
+    this.isClosed = false
+    this.closing = null // Promise, resolved once closed
     this.feeds = {}
     this.docs = {}
 
     this.readyIndex = {} // docId -> Boolean
+    this.openIndex = {} // docId -> Promise, resolved once the doc can be loaded
+    this.recentDocs = new Map() // docId -> true, least recently used first
+    this.readyFeeds = {} // actorId -> Boolean, whether the feed can be loaded
+    this.readyCallbacks = {} // docId -> [callback]
+    this.handles = {} // docId -> [DocHandle]
     this.groupIndex = {} // groupId -> [actorId]
     this.docIndex = {} // docId -> [actorId]
     this.metaIndex = {} // actorId -> metadata
+    this.metadataUpdates = {} // docId -> key -> {value, time, actor, seq}
+    this.tagIndex = {} // docId -> name -> {name, clock, time, actor}
+    this.undoStacks = {} // docId -> [{before, after, changes}], local changes that can be undone
+    this.redoStacks = {} // docId -> [{before, after, changes}], undos that can be redone
+    this.unvalidated = {} // actorId -> Boolean, metadata not yet checked against the feed
     this.requestedBlocks = {} // docId -> actorId -> blockIndex (exclusive)
+    this.snapshotStorages = {} // docId -> random-access storage
+    this.unsnapshotted = {} // docId -> number of changes since last snapshot
+    this.savingSnapshots = {} // docId -> Boolean
+    this.appending = {} // docId -> number of local appends not yet flushed
+    this.validators = {} // docId or groupId -> function
+    this.quarantine = {} // docId -> actorId -> {error, changes}
+    this.migrations = {} // fromVersion -> {toVersion, migrate}
+    this.metadataStorage = null
+    this.metadataLength = 0 // bytes in the persisted metadata log
+    this.metadataWrites = Promise.resolve()
 
     this.core = new MultiCore(path)
 
@@ -65,12 +110,21 @@ module.exports = class Hypermerge extends EventEmitter {
 
     if (!doc) throw new Error(`Cannot find document. open(docId) first. docId: ${docId}`)
 
+    this._touch(docId)
+
     return doc
   }
 
   set (doc) {
     const docId = this.getId(doc)
+    const isNew = !this.docs[docId]
+
     this.docs[docId] = doc
+    if (!this.openIndex[docId]) this.openIndex[docId] = Promise.resolve()
+    this._touch(docId)
+
+    if (isNew) this._evict()
+
     return doc
   }
 
@@ -78,24 +132,68 @@ module.exports = class Hypermerge extends EventEmitter {
    * Opens an existing document.
    *
    * @param {string} docId - docId of document to open
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - milliseconds to wait before rejecting
+   * @param {AbortSignal} [options.signal] - rejects when the signal is aborted
+   * @returns {Promise<Document>} resolves with the document once it is ready
    */
-  open (docId, metadata = null) {
+  open (docId, {timeout, signal} = {}) {
     this._ensureReady()
 
-    if (this.docs[docId]) return this.docs[docId]
+    if (!this.openIndex[docId]) this._openDoc(docId)
+
+    return this._whenDocReady(docId, {timeout, signal})
+  }
+
+  /**
+   * Drops a document from memory. Its feeds keep replicating, and it can be
+   * loaded again with `open()`.
+   *
+   * @param {string} docId
+   */
+  unload (docId) {
+    if (this.snapshotInterval && this.unsnapshotted[docId] && this._canSnapshot(docId)) {
+      _ignoreCacheErrors(this._saveSnapshot(docId))
+    }
+
+    this._rejectReadyCallbacks(docId,
+      new Error(`Document was unloaded before it was ready. docId: ${docId}`))
 
-    // we haven't seen this doc before:
-    this.feed(docId)
+    delete this.docs[docId]
+    delete this.openIndex[docId]
+    delete this.readyIndex[docId]
+    delete this.requestedBlocks[docId]
+    delete this.unsnapshotted[docId]
+    delete this.appending[docId]
+    delete this.undoStacks[docId]
+    delete this.redoStacks[docId]
+    delete this.quarantine[docId]
+    this.recentDocs.delete(docId)
   }
 
   /**
    * Creates an automerge document backed by a new hypercore.
    *
    * @param {object} metadata - metadata to be associated with this document
+   * @returns {Promise<Document>} resolves with the document once it is ready
    */
   create (metadata = {}) {
     this._ensureReady()
-    return this._create(metadata)
+
+    // new documents start at the latest schema version:
+    const steps = this._migrationSteps()
+    const schemaVersion = steps.length ? steps[steps.length - 1].toVersion : null
+
+    const doc = this._create(schemaVersion === null
+      ? metadata
+      : Object.assign({}, metadata, {schemaVersion}))
+
+    if (schemaVersion !== null) {
+      this._emptyChange(doc, `Created at schema version ${schemaVersion}`, {},
+        steps.map(({toVersion}) => _markerOp(doc, `migrated:${toVersion}`)))
+    }
+
+    return this._whenDocReady(this.getId(doc))
   }
 
   _create (metadata, parentMetadata = {}) {
@@ -113,7 +211,7 @@ module.exports = class Hypermerge extends EventEmitter {
       metadata // directly provided metadata should override everything else
     )
 
-    this._appendMetadata(actorId, metadata)
+    this._emitErrors(this._appendMetadata(actorId, metadata))
 
     const doc = this.set(this.empty(actorId))
     this._shareDoc(doc)
@@ -122,16 +220,63 @@ module.exports = class Hypermerge extends EventEmitter {
   }
 
   change (doc, message = null, changeFn) {
-    return this.update(Automerge.change(doc, message, changeFn))
+    return this.update(_changeWithEdits(doc, message, changeFn))
+  }
+
+  /**
+   * Like `change()`, but waits for the changes to be persisted.
+   *
+   * @param {Object} doc - document to change
+   * @param {string} [message] - change message
+   * @param {function} changeFn - receives a mutable copy of the document
+   * @returns {Promise<Document>} resolves once the changes are appended to
+   *   the actor's hypercore feed, rejects if `changeFn` throws, the changes
+   *   are invalid or appending fails
+   */
+  changeAsync (doc, message = null, changeFn) {
+    try {
+      doc = _changeWithEdits(doc, message, changeFn)
+    } catch (err) {
+      return Promise.reject(err)
+    }
+
+    return this.updateAsync(doc)
   }
 
   /**
    * Finds any new changes for the submitted doc for the actor,
    * and appends the changes to the actor's hypercore feed.
    *
+   * Append failures are emitted as `error` events.
+   *
    * @param {Object} doc - document to find changes for
    */
   update (doc) {
+    this._emitErrors(this._update(doc))
+
+    return doc
+  }
+
+  /**
+   * Like `update()`, but waits for the changes to be persisted.
+   *
+   * @param {Object} doc - document to find changes for
+   * @returns {Promise<Document>} resolves once the changes are appended to
+   *   the actor's hypercore feed, rejects if the changes are invalid or
+   *   appending fails
+   */
+  updateAsync (doc) {
+    let flushed
+    try {
+      flushed = this._update(doc)
+    } catch (err) {
+      return Promise.reject(err)
+    }
+
+    return flushed.then(() => doc)
+  }
+
+  _update (doc, undoable = true) {
     this._ensureReady()
 
     const actorId = this.getActorId(doc)
@@ -141,11 +286,135 @@ module.exports = class Hypermerge extends EventEmitter {
     const changes = Automerge.getChanges(pDoc, doc)
       .filter(({actor}) => actor === actorId)
 
+    const error = changes.length && this._validationError(docId, doc)
+    if (error) throw error
+
     this._addToMaxRequested(docId, actorId, changes.length)
 
-    this._appendAll(actorId, changes)
+    if (undoable && _hasEdits(changes)) {
+      this._pushUndo(this.undoStacks, docId, pDoc, doc, changes)
+      delete this.redoStacks[docId]
+    }
+
+    const flushed = this._appendAll(actorId, changes)
+    if (changes.length) this._trackAppend(docId, flushed)
+
+    this.set(doc)
+    this._applyMetadataUpdates(docId, changes)
+    this._applyTags(docId, changes)
+    if (changes.length) this._emitChanged(docId, doc, {origin: 'local', actorId, changes})
 
-    return this.set(doc)
+    return flushed
+  }
+
+  /**
+   * Sets the function that checks a document after every change, for a single
+   * document or every document in a group. Local changes that leave the doc
+   * invalid throw, and remote ones are quarantined.
+   *
+   * @param {string} id - docId or groupId
+   * @param {function} validate - called with (doc, docId). Returning false or
+   *   throwing marks the doc as invalid. `null` removes the validator.
+   */
+  setValidator (id, validate) {
+    if (validate) this.validators[id] = validate
+    else delete this.validators[id]
+  }
+
+  /**
+   * Registers a change that moves documents from one schema version to
+   * another. Migrations are chained from version 0, and run when a document
+   * is ready if it doesn't contain them yet. Documents made with `create()`
+   * start at the latest version. The version a document is at is the
+   * `schemaVersion` key of its metadata, or 0 without one.
+   *
+   * Only the instance with the document's own writable feed (the one that
+   * created it) migrates it, so peers never migrate a document concurrently.
+   * The others receive the migration as a normal change. A migration is
+   * recorded in the document, so a fork of a migrated document doesn't
+   * apply it again. When a migration throws, opening the document rejects
+   * with the error.
+   *
+   * @param {number} fromVersion
+   * @param {number} toVersion - must be greater than fromVersion
+   * @param {function} migrate - receives a mutable copy of the document
+   */
+  registerMigration (fromVersion, toVersion, migrate) {
+    if (!(toVersion > fromVersion)) {
+      throw new Error(`Migrations must increase the version. from: ${fromVersion}, to: ${toVersion}`)
+    }
+
+    this.migrations[fromVersion] = {toVersion, migrate}
+  }
+
+  /**
+   * Lists the changes to a document that were quarantined because they left
+   * the document invalid.
+   *
+   * @param {string} docId
+   * @returns {object[]} `{actorId, error, changes}` for each actor
+   */
+  quarantined (docId) {
+    const quarantine = this.quarantine[docId] || {}
+
+    return Object.keys(quarantine).map(actorId =>
+      Object.assign({actorId}, quarantine[actorId]))
+  }
+
+  /**
+   * Reverts the last change made to a document by this instance's writable
+   * actor that hasn't been undone yet, with a new change. Changes made by
+   * other actors since are kept.
+   *
+   * @param {string} docId
+   * @returns {Document}
+   */
+  undo (docId) {
+    return this._revert(docId, this.undoStacks, this.redoStacks, 'Undo')
+  }
+
+  /**
+   * Reapplies the last change reverted with `undo(docId)`, with a new change.
+   * Making any other change to the document clears what can be redone.
+   *
+   * @param {string} docId
+   * @returns {Document}
+   */
+  redo (docId) {
+    return this._revert(docId, this.redoStacks, this.undoStacks, 'Redo')
+  }
+
+  _revert (docId, from, to, message) {
+    this._ensureReady()
+
+    const doc = this.find(docId)
+    const entry = (from[docId] || []).pop()
+    if (!entry) return doc
+
+    let reverted
+    try {
+      reverted = _changeWithEdits(doc, message, mutable => _revertChanges(entry, doc, mutable))
+      this._emitErrors(this._update(reverted, false))
+    } catch (err) {
+      // keep the entry so the revert can be retried:
+      from[docId].push(entry)
+      throw err
+    }
+
+    // fields written by other actors since are kept, which may leave nothing to revert:
+    if (reverted === doc) return doc
+
+    this._pushUndo(to, docId, doc, reverted, Automerge.getChanges(doc, reverted))
+
+    return reverted
+  }
+
+  _pushUndo (stacks, docId, before, after, changes) {
+    if (!stacks[docId]) stacks[docId] = []
+    stacks[docId].push({before, after, changes})
+
+    // each entry keeps two versions of the doc in memory:
+    if (stacks[docId].length > this.maxUndo) stacks[docId].shift()
   }
 
   /**
@@ -153,17 +422,19 @@ module.exports = class Hypermerge extends EventEmitter {
    * an empty change that depends on the document for another actor.
    *
    * @param {string} parentId - id of document to fork
+   * @param {object} [metadata] - metadata to be associated with the fork.
+   *   Throws for keys that identify the feed (`docId`, `groupId`, `parentId`)
    */
-  fork (parentId) {
+  fork (parentId, metadata = {}) {
     this._ensureReady()
+    _checkReservedMetadata(metadata)
 
     const parent = this.find(parentId)
-    const doc = this._create({parentId}, this.metadata(parentId))
+    const doc = this._create(
+      Object.assign({}, metadata, {parentId}),
+      this.metadata(parentId))
 
-    return this.change(
-      Automerge.merge(doc, parent),
-      `Forked from ${parentId}`,
-      () => {})
+    return this._emptyChange(Automerge.merge(doc, parent), `Forked from ${parentId}`)
   }
 
   /**
@@ -178,10 +449,92 @@ module.exports = class Hypermerge extends EventEmitter {
     const dest = this.find(destId)
     const source = this.find(sourceId)
 
-    return this.change(
-      Automerge.merge(dest, source),
-      `Merged with ${sourceId}`,
-      () => {})
+    const doc = this._emptyChange(Automerge.merge(dest, source), `Merged with ${sourceId}`)
+
+    this._emitConflicts(destId, dest, doc)
+
+    return doc
+  }
+
+  /**
+   * Picks the value of a field that is in conflict, by setting it again with
+   * a new change.
+   *
+   * @param {string} docId
+   * @param {Array} path - keys and list indexes leading to the field, as
+   *   listed by the `document:conflict` event
+   * @param {*} value - the winning value
+   * @returns {Document}
+   */
+  resolveConflict (docId, path, value) {
+    this._ensureReady()
+
+    return this.change(this.find(docId), `Resolved conflict at ${path.join('.')}`, doc => {
+      const target = path.slice(0, -1).reduce((target, key) => target[key], doc)
+      _copyInto(target, path[path.length - 1], value)
+    })
+  }
+
+  /**
+   * Takes only the selected changes from a document (sourceId), along with
+   * the changes they causally depend on, and adds them to another document
+   * (destId).
+   *
+   * @param {string} destId - docId to copy changes into
+   * @param {string} sourceId - docId to copy changes from
+   * @param {function|string|object[]} changeSelector - a function that is
+   *   passed each change and returns true to pick it, a change message, or a
+   *   list of `{actor, seq}` objects
+   * @returns {Document} the updated destination doc
+   */
+  cherryPick (destId, sourceId, changeSelector) {
+    this._ensureReady()
+
+    const dest = this.find(destId)
+    const source = this.find(sourceId)
+    const destClock = this.clock(dest)
+
+    const candidates = this.clock(source).keySeq().toArray()
+      .reduce((changes, actor) => changes.concat(
+        Automerge.getChangesForActor(source, actor)
+          .filter(({seq}) => seq > destClock.get(actor, 0))), [])
+
+    const picked = _withCausalDeps(
+      candidates.filter(_changeSelector(changeSelector)),
+      candidates)
+
+    if (!picked.length) return dest
+
+    return this._emptyChange(
+      Automerge.applyChanges(dest, picked),
+      `Cherry-picked ${picked.length} changes from ${sourceId}`)
+  }
+
+  /**
+   * Shows what `merge(destId, sourceId)` would do, without changing either
+   * document or appending to any hypercore.
+   *
+   * @param {string} destId - docId to merge changes into
+   * @param {string} sourceId - docId to copy changes from
+   * @returns {object} `{doc, changes, conflicts}`: the merged doc, the
+   *   incoming changes grouped by actorId, and `{path, value, conflicts}` for
+   *   each field that would newly be in conflict
+   */
+  previewMerge (destId, sourceId) {
+    this._ensureReady()
+
+    const dest = this.find(destId)
+    const source = this.find(sourceId)
+
+    const doc = Automerge.merge(dest, source)
+
+    const changes = {}
+    Automerge.getChanges(dest, doc).forEach(change => {
+      if (!changes[change.actor]) changes[change.actor] = []
+      changes[change.actor].push(change)
+    })
+
+    return {doc, changes, conflicts: this._newConflicts(dest, doc)}
   }
 
   /**
@@ -194,10 +547,84 @@ module.exports = class Hypermerge extends EventEmitter {
     const doc = this.find(docId)
     this.core.archiver.remove(docId)
     delete this.feeds[docId]
+    delete this.readyFeeds[docId]
     delete this.docs[docId]
+    delete this.openIndex[docId]
+    this.recentDocs.delete(docId)
     return doc
   }
 
+  /**
+   * Removes every actor feed of a document, and forgets everything known
+   * about it.
+   *
+   * Leaves the network swarm for each feed.
+   * @param {string} docId
+   * @param {Object} [options]
+   * @param {boolean} [options.purge=false] - also delete the feeds and
+   *   snapshot from disk
+   * @returns {Promise}
+   */
+  destroy (docId, {purge = false} = {}) {
+    this._ensureReady()
+
+    const actorIds = (this.docIndex[docId] || [docId]).slice()
+
+    const handles = this.handles[docId] || []
+    handles.forEach(handle => handle.close())
+
+    this._rejectReadyCallbacks(docId,
+      new Error(`Document was destroyed before it was ready. docId: ${docId}`))
+
+    actorIds.forEach(actorId => {
+      this._unindexMetadata(actorId)
+      delete this.feeds[actorId]
+      delete this.readyFeeds[actorId]
+    })
+
+    delete this.docs[docId]
+    delete this.openIndex[docId]
+    delete this.readyIndex[docId]
+    delete this.requestedBlocks[docId]
+    delete this.unsnapshotted[docId]
+    delete this.appending[docId]
+    delete this.metadataUpdates[docId]
+    delete this.tagIndex[docId]
+    delete this.undoStacks[docId]
+    delete this.redoStacks[docId]
+    delete this.quarantine[docId]
+    delete this.validators[docId]
+    this.recentDocs.delete(docId)
+
+    const snapshot = this.snapshotStorages[docId]
+    delete this.snapshotStorages[docId]
+
+    return Promise.all(actorIds.map(actorId =>
+      _promise(cb => this.core.removeFeed(actorId, {purge}, cb))))
+    .then(() => _promise(cb => {
+      if (!purge) return snapshot ? snapshot.close(cb) : cb(null)
+
+      const storage = snapshot || this.core.createStorage(`snapshots/${docId}`)
+      storage.destroy(err => cb(err && err.code !== 'ENOENT' ? err : null))
+    }))
+  }
+
+  /**
+   * Returns a handle scoped to a single document, so listeners and changes
+   * don't need to thread the docId around.
+   *
+   * @param {string} docId
+   * @returns {DocHandle}
+   */
+  handle (docId) {
+    const handle = new DocHandle(this, docId)
+
+    if (!this.handles[docId]) this.handles[docId] = []
+    this.handles[docId].push(handle)
+
+    return handle
+  }
+
   message (actorId, msg) {
     this.feed(actorId).peers.forEach(peer => {
       this._messagePeer(peer, msg)
@@ -227,19 +654,408 @@ module.exports = class Hypermerge extends EventEmitter {
     return !!Object.keys(deps).length
   }
 
+  /**
+   * Describes the changes a document is waiting on, for debugging stuck syncs.
+   *
+   * @param {string} docId
+   * @returns {object[]} one entry per actor with missing changes:
+   *   `{actorId, have, need, hasFeed, peers}`, where `have` and `need` are
+   *   sequence numbers, and `peers` is the number of peers serving the feed
+   */
+  missingDeps (docId) {
+    const doc = this.find(docId)
+    const clock = this.clock(doc)
+    const deps = Automerge.getMissingDeps(doc)
+
+    return Object.keys(deps).map(actorId => {
+      const feed = this.feeds[actorId]
+
+      return {
+        actorId,
+        have: clock.get(actorId, 0),
+        need: deps[actorId],
+        hasFeed: !!feed,
+        peers: feed ? feed.peers.length : 0
+      }
+    })
+  }
+
+  /**
+   * Lists every change stored in the hypercore feeds of a document.
+   *
+   * @param {string} docId
+   * @returns {Promise} resolves with `{actorId, seq, deps, message, index,
+   *   metadata}` for each change, where `index` is the block of the change in
+   *   the actor's feed and `metadata` is the metadata of that feed
+   */
+  history (docId) {
+    return _promise(cb => {
+      const entries = []
+
+      this.historyStream(docId)
+      .on('data', entry => entries.push(entry))
+      .on('error', cb)
+      .on('end', () => cb(null, entries))
+    })
+  }
+
+  /**
+   * Like `history(docId)`, but returns a readable object stream of the
+   * entries, reading `BATCH_SIZE` blocks of a feed at a time.
+   *
+   * @param {string} docId
+   * @returns {stream.Readable}
+   */
+  historyStream (docId) {
+    this._ensureReady()
+
+    const actorIds = (this.docIndex[docId] || []).slice()
+    let actorId = null
+    let index = START_BLOCK
+
+    const stream = new Readable({
+      objectMode: true,
+      read: () => {
+        while (!actorId || index >= this.length(actorId)) {
+          if (!actorIds.length) return stream.push(null)
+
+          actorId = actorIds.shift()
+          index = START_BLOCK
+        }
+
+        const first = index
+        index = Math.min(this.length(actorId), first + BATCH_SIZE)
+
+        this._getBlockRange(actorId, first, index)
+        .then(blocks => blocks.forEach((block, i) =>
+          stream.push(this._historyEntry(actorId, first + i, JSON.parse(block)))))
+        .catch(err => stream.destroy(err))
+      }
+    })
+
+    return stream
+  }
+
+  /**
+   * Rebuilds a document as it was at a past vector clock, by replaying the
+   * blocks of each actor's feed up to the clock. The returned document isn't
+   * tracked, so it can't be changed through hypermerge.
+   *
+   * @param {string} docId
+   * @param {object} clock - a clock from `clock(doc)` or a plain object of
+   *   actorId -> seq, or `{changeIndex}` for the doc after its first
+   *   `changeIndex` changes
+   * @returns {Promise} resolves with the document
+   */
+  at (docId, clock) {
+    this._ensureReady()
+
+    return this._changesAt(docId, clock)
+    .then(changes => Automerge.applyChanges(this.empty(), changes))
+  }
+
+  /**
+   * Lists the edits made to a document between two vector clocks, computed
+   * from the changes stored in the feeds.
+   *
+   * @param {string} docId
+   * @param {object} fromClock - any clock accepted by `at(docId, clock)`
+   * @param {object} [toClock] - defaults to the current clock of the doc
+   * @returns {Promise} resolves with `{action, type, path, value}` for each
+   *   edit, where `action` is 'add', 'update' or 'delete' for maps, and also
+   *   'insert' for lists and text
+   */
+  diff (docId, fromClock, toClock = this.clock(this.find(docId))) {
+    this._ensureReady()
+
+    return Promise.all([
+      this._changesAt(docId, fromClock),
+      this._changesAt(docId, toClock)
+    ]).then(([fromChanges, toChanges]) => _diff(
+      Automerge.applyChanges(Automerge.init(), fromChanges),
+      Automerge.applyChanges(Automerge.init(), toChanges)))
+  }
+
+  /**
+   * Lists the edits a fork (forkId) would bring to another document (baseId)
+   * if they were merged. See `diff(docId, fromClock, toClock)`.
+   *
+   * @param {string} baseId
+   * @param {string} forkId
+   * @returns {Promise}
+   */
+  diffForks (baseId, forkId) {
+    const clock = this.clock(this.find(baseId))
+    const forkClock = this.clock(this.find(forkId))
+
+    return this.diff(baseId, clock, clock.mergeWith((a, b) => Math.max(a, b), forkClock))
+  }
+
+  // Reads the changes of a doc up to a clock from the feeds of each actor:
+  _changesAt (docId, clock) {
+    const seqs = clock.changeIndex === undefined
+      ? (clock.toJS ? clock.toJS() : clock)
+      : this._clockAt(this.find(docId), clock.changeIndex)
+
+    const changes = []
+
+    return Object.keys(seqs).reduce((reading, actorId) => reading.then(() =>
+      this._getChangeBatches(actorId, START_BLOCK, START_BLOCK + seqs[actorId], changes)),
+      Promise.resolve())
+    .then(() => changes)
+  }
+
+  // Reads changes from a feed in batches, like _loadBlockBatches, so that
+  // long feeds don't create a callback for every block at once:
+  _getChangeBatches (actorId, first, last, changes) {
+    const end = Math.min(last, first + BATCH_SIZE)
+    if (first >= end) return Promise.resolve(changes)
+
+    return this._getBlockRange(actorId, first, end)
+    .then(blocks => {
+      blocks.forEach(block => changes.push(JSON.parse(block)))
+      return this._getChangeBatches(actorId, end, last, changes)
+    })
+  }
+
+  // The clock of a doc after the first `changeIndex` changes it applied:
+  _clockAt (doc, changeIndex) {
+    const clock = {}
+
+    doc._state.getIn(['opSet', 'history']).take(changeIndex).forEach(change => {
+      clock[change.get('actor')] = change.get('seq')
+    })
+
+    return clock
+  }
+
+  _historyEntry (actorId, index, {seq, deps, message}) {
+    return {actorId, seq, deps, message, index, metadata: this.metaIndex[actorId]}
+  }
+
   empty (actorId) {
     return this.immutableApi
       ? Automerge.initImmutable(actorId)
       : Automerge.init(actorId)
   }
 
+  load (history, actorId) {
+    return this.immutableApi
+      ? Automerge.loadImmutable(history, actorId)
+      : Automerge.load(history, actorId)
+  }
+
   metadatas (docId) {
     const actorIds = this.docIndex[docId] || []
     return actorIds.map(actorId => this.metadata(actorId))
   }
 
   metadata (actorId) {
-    return this.metaIndex[actorId]
+    const metadata = this.metaIndex[actorId]
+    const updates = metadata && this.metadataUpdates[metadata.docId]
+
+    if (!updates) return metadata
+
+    const values = {}
+    Object.keys(updates).forEach(key => {
+      values[key] = updates[key].value
+    })
+
+    return Object.assign({}, metadata, values)
+  }
+
+  /**
+   * Updates the metadata of a document. The update is recorded in the
+   * writable feed of the doc, and merged with updates from the other actors
+   * of the doc: the most recent update to each key wins.
+   *
+   * @param {string} docId
+   * @param {object} patch - metadata keys to set
+   * @returns {Document}
+   */
+  setMetadata (docId, patch) {
+    this._ensureReady()
+    _checkReservedMetadata(patch)
+
+    return this._emptyChange(this.find(docId), 'Updated metadata', {metadata: patch})
+  }
+
+  /**
+   * Names the current version of a document. The tag is recorded in the
+   * writable feed of the doc, so it's replicated to the other actors.
+   *
+   * @param {string} docId
+   * @param {string} name - tagging a name again moves the tag
+   * @returns {Document}
+   */
+  tag (docId, name) {
+    this._ensureReady()
+
+    const doc = this.find(docId)
+    const clock = this.clock(doc).toJS()
+
+    return this._emptyChange(doc, `Tagged ${name}`, {tag: {name, clock}})
+  }
+
+  /**
+   * Lists the tags of a document, oldest first.
+   *
+   * @param {string} docId
+   * @returns {object[]} `{name, clock, time, actorId}` for each tag
+   */
+  tags (docId) {
+    const tags = this.tagIndex[docId] || {}
+
+    return Object.keys(tags)
+      .map(name => tags[name])
+      .sort((a, b) => a.time - b.time)
+      .map(({name, clock, time, actor}) => ({name, clock, time, actorId: actor}))
+  }
+
+  /**
+   * Reverts a document to a tagged version, with a new change.
+   *
+   * @param {string} docId
+   * @param {string} name - name of the tag
+   * @returns {Promise<Document>}
+   */
+  restore (docId, name) {
+    this._ensureReady()
+
+    const tag = (this.tagIndex[docId] || {})[name]
+    if (!tag) return Promise.reject(new Error(`Unknown tag. name: ${name}`))
+
+    return this._changesAt(docId, tag.clock)
+    .then(changes => {
+      const tagged = Automerge.applyChanges(Automerge.init(), changes)
+
+      return this.change(this.find(docId), `Restored ${name}`, doc => {
+        Object.keys(doc)
+          .filter(key => key !== '_objectId' && !(key in tagged))
+          .forEach(key => delete doc[key])
+
+        Object.keys(tagged)
+          .filter(key => key !== '_objectId')
+          .filter(key => tagged[key] instanceof Automerge.Text ||
+            JSON.stringify(tagged[key]) !== JSON.stringify(doc[key]))
+          .forEach(key => _copyInto(doc, key, tagged[key]))
+      })
+    })
+  }
+
+  // A change without edits can carry data other than ops, while blocks still
+  // map to changes:
+  _emptyChange (doc, message, fields, ops = [_markerOp(doc)]) {
+    const actorId = this.getActorId(doc)
+    const opSet = doc._state.get('opSet')
+
+    const change = Object.assign({
+      actor: actorId,
+      seq: opSet.getIn(['clock', actorId], 0) + 1,
+      deps: opSet.get('deps').remove(actorId).toJS(),
+      message,
+      ops,
+      time: Date.now()
+    }, fields)
+
+    return this.update(Automerge.applyChanges(doc, [change]))
+  }
+
+  /**
+   * Lists the documents known to this instance, whether or not they have been
+   * opened.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.groupId] - only documents in this group
+   * @param {string} [options.parentId] - only documents forked from this doc
+   * @param {function} [options.where] - called with (metadata, docId), only
+   *   documents it returns true for
+   * @returns {object[]} `{docId, metadata}` for each document, with the
+   *   document's root metadata
+   */
+  listDocuments ({groupId, parentId, where} = {}) {
+    const docs = groupId
+      ? this.documentsInGroup(groupId)
+      : Object.keys(this.docIndex).map(docId => this._listing(docId))
+
+    return docs.filter(({docId, metadata}) =>
+      (!parentId || metadata.parentId === parentId) &&
+      (!where || where(metadata, docId)))
+  }
+
+  /**
+   * Lists the documents in a group, e.g. a document and its forks.
+   *
+   * @param {string} groupId
+   * @returns {object[]} `{docId, metadata}` for each document
+   */
+  documentsInGroup (groupId) {
+    const actorIds = this.groupIndex[groupId] || []
+    const docIds = actorIds.map(actorId => this.actorToId(actorId))
+
+    return docIds
+      .filter((docId, i) => docIds.indexOf(docId) === i)
+      .map(docId => this._listing(docId))
+  }
+
+  /**
+   * Lists the documents forked directly from a document.
+   *
+   * @param {string} docId
+   * @returns {string[]} docIds of the forks
+   */
+  forksOf (docId) {
+    return this.listDocuments({parentId: docId}).map(({docId}) => docId)
+  }
+
+  /**
+   * Lists the documents a document was forked from, nearest first.
+   *
+   * @param {string} docId
+   * @returns {string[]} docIds of the parent, its parent, and so on
+   */
+  ancestorsOf (docId) {
+    const ancestors = []
+    let metadata = this._listing(docId).metadata
+
+    while (metadata && metadata.parentId && !ancestors.includes(metadata.parentId)) {
+      ancestors.push(metadata.parentId)
+      metadata = this._listing(metadata.parentId).metadata
+    }
+
+    return ancestors
+  }
+
+  /**
+   * Builds the tree of forks for a group of documents.
+   *
+   * @param {string} groupId
+   * @returns {object[]} `{docId, metadata, forks}` for each document that
+   *   wasn't forked from another document in the group, where `forks` holds
+   *   the same for each of its forks
+   */
+  forkTree (groupId) {
+    const docs = this.documentsInGroup(groupId)
+    const docIds = docs.map(({docId}) => docId)
+
+    const build = ({docId, metadata}) => ({
+      docId,
+      metadata,
+      forks: docs
+        .filter(doc => doc.metadata.parentId === docId)
+        .map(build)
+    })
+
+    return docs
+      .filter(({metadata}) => !docIds.includes(metadata.parentId))
+      .map(build)
+  }
+
+  // The doc's own feed has its root metadata, but it may not have been
+  // downloaded yet:
+  _listing (docId) {
+    const metadata = this.metadata(docId) || this.metadatas(docId)[0]
+    return {docId, metadata}
   }
 
   isDocId (actorId) {
@@ -251,7 +1067,7 @@ module.exports = class Hypermerge extends EventEmitter {
   }
 
   actorToId (actorId) {
-    const {docId} = this.metadata(actorId)
+    const {docId} = this.metaIndex[actorId]
     return docId
   }
 
@@ -298,7 +1114,7 @@ module.exports = class Hypermerge extends EventEmitter {
 
     sw.join(archiver.changes.discoveryKey)
 
-    Object.values(this.feeds).forEach(feed => {
+    Object.values(archiver.feeds).forEach(feed => {
       sw.join(feed.discoveryKey)
     })
 
@@ -321,6 +1137,50 @@ module.exports = class Hypermerge extends EventEmitter {
     return this
   }
 
+  /**
+   * Shuts down the instance: leaves the network swarm, destroys replication
+   * streams and closes every hypercore feed and the storage.
+   *
+   * @param {function} [cb] - called once everything is closed
+   * @returns {Promise}
+   */
+  close (cb) {
+    if (!this.closing) this.closing = this._close()
+
+    if (cb) this.closing.then(() => cb(null), cb)
+
+    return this.closing
+  }
+
+  _close () {
+    this.isReady = false
+    this.isClosed = true
+
+    Object.keys(this.readyCallbacks).forEach(docId => {
+      this._rejectReadyCallbacks(docId,
+        new Error(`Hypermerge was closed before the document was ready. docId: ${docId}`))
+    })
+
+    const storages = Object.values(this.snapshotStorages)
+    if (this.metadataStorage) storages.push(this.metadataStorage)
+
+    return this.metadataWrites
+    .then(() => _promise(cb => {
+      this.swarm ? this.swarm.destroy(() => cb()) : cb()
+    }))
+    .then(() => _promise(cb => this.core.close(cb)))
+    .then(() => Promise.all(storages.map(storage =>
+      _promise(cb => storage.close(cb)))))
+    .then(() => {
+      /**
+       * Emitted when the instance has been closed.
+       *
+       * @event close
+       */
+      this.emit('close')
+    })
+  }
+
   _appendMetadata (actorId, metadata) {
     if (this.length(actorId) > 0) throw new Error(`Metadata can only be set if feed is empty.`)
 
@@ -329,6 +1189,18 @@ module.exports = class Hypermerge extends EventEmitter {
     return this._append(actorId, metadata)
   }
 
+  _emitErrors (promise) {
+    promise.catch(err => {
+      /**
+       * Emitted when appending to a hypercore feed fails.
+       *
+       * @event error
+       * @param {Error} err
+       */
+      this.emit('error', err)
+    })
+  }
+
   _append (actorId, change) {
     return this._appendAll(actorId, [change])
   }
@@ -359,17 +1231,12 @@ module.exports = class Hypermerge extends EventEmitter {
       .then(() => {
         const docId = this.actorToId(actorId)
 
-        this._createDocIfMissing(docId, actorId)
-
         feed.on('download', this._onDownload(docId, actorId))
 
-        return this._loadAllBlocks(actorId)
-          .then(() => {
-            if (actorId !== docId) return
+        this.readyFeeds[actorId] = true
 
-            this.readyIndex[docId] = true
-            this._emitReady(docId)
-          })
+        // docs are only built once they've been opened:
+        if (this.openIndex[docId]) return this._loadFeed(docId, actorId)
       })
 
       /**
@@ -382,62 +1249,409 @@ module.exports = class Hypermerge extends EventEmitter {
     }
   }
 
-  _createDocIfMissing (docId, actorId) {
-    if (this.docs[docId]) return
+  _loadFeed (docId, actorId) {
+    return this.openIndex[docId]
+      .then(() => this._validateMetadata(actorId))
+      .then(() => {
+        // the doc may have been unloaded while it was being restored, or the
+        // feed turned out to belong to another doc:
+        if (!this.openIndex[docId] || this.actorToId(actorId) !== docId) return
+
+        this._createDocIfMissing(docId, actorId)
+
+        return this._loadAllBlocks(actorId)
+      })
+      .then(() => {
+        if (actorId !== docId) return
+        if (!this.docs[docId] || this.isDocReady(docId)) return
+
+        this.readyIndex[docId] = true
+        this._emitReady(docId)
+      })
+  }
+
+  // Loads a doc that isn't in memory: restores it from the snapshot of its
+  // writable actor, then loads every known actor feed.
+  _openDoc (docId) {
+    const actorIds = this.docIndex[docId] || [docId]
+    const writableId = actorIds.find(actorId => this.isWritable(actorId))
+
+    const restoring = this.openIndex[docId] = writableId
+      ? this._loadSnapshot(docId, writableId).then(doc => {
+        if (this.openIndex[docId] === restoring && !this.docs[docId]) this.set(doc)
+      })
+      : Promise.resolve()
+
+    actorIds.forEach(actorId => {
+      if (!this.feeds[actorId]) return this.feed(actorId)
+
+      // otherwise _onFeedReady loads it once it's ready:
+      if (this.readyFeeds[actorId]) this._loadFeed(docId, actorId)
+    })
+  }
+
+  _touch (docId) {
+    this.recentDocs.delete(docId)
+    this.recentDocs.set(docId, true)
+  }
+
+  // Unloads the least recently used docs that have finished loading:
+  _evict () {
+    for (const docId of this.recentDocs.keys()) {
+      if (this.recentDocs.size <= this.maxDocs) return
+
+      if (this.isDocReady(docId) && !this.readyCallbacks[docId]) this.unload(docId)
+    }
+  }
+
+  _createDocIfMissing (docId, actorId) {
+    if (this.docs[docId]) return
+
+    // TODO extra, empty hypercores are still being created
+
+    if (this.isWritable(actorId)) {
+      this.set(this.empty(actorId))
+    }
+
+    const parentMetadata = this.metadata(actorId)
+
+    // TODO might need an empty commit to be included in other vector clocks:
+    return this._create({docId}, parentMetadata)
+  }
+
+  _initFeeds (actorIds) {
+    return Promise.all(
+      actorIds.map(actorId => {
+        // don't load metadata if the feed is empty:
+        if (this.length(actorId) === 0) {
+          console.log('skipping feed init', actorId)
+          return Promise.resolve(null)
+        }
+
+        return this._loadMetadata(actorId)
+        .then(() => actorId)
+      }))
+  }
+
+  _loadMetadata (actorId) {
+    if (this.metaIndex[actorId]) return Promise.resolve(this.metaIndex[actorId])
+
+    return _promise(cb => {
+      this._feed(actorId).get(0, cb)
+    })
+    .then(data => this._setMetadata(actorId, JSON.parse(data)))
+  }
+
+  _setMetadata (actorId, metadata) {
+    if (this.metaIndex[actorId]) return this.metaIndex[actorId]
+
+    this._indexMetadata(actorId, metadata)
+    this._persistMetadata(actorId, metadata)
+
+    return metadata
+  }
+
+  _indexMetadata (actorId, metadata) {
+    this.metaIndex[actorId] = metadata
+    const {docId, groupId} = metadata
+
+    if (!this.groupIndex[groupId]) this.groupIndex[groupId] = []
+    this.groupIndex[groupId].push(actorId)
+
+    if (!this.docIndex[docId]) this.docIndex[docId] = []
+    this.docIndex[docId].push(actorId)
+  }
+
+  _unindexMetadata (actorId) {
+    const metadata = this.metaIndex[actorId]
+    if (!metadata) return
+
+    const {docId, groupId} = metadata
+    delete this.metaIndex[actorId]
+    delete this.unvalidated[actorId]
+
+    _removeFromIndex(this.groupIndex, groupId, actorId)
+    _removeFromIndex(this.docIndex, docId, actorId)
+  }
+
+  _metadataLog () {
+    if (!this.metadataStorage) this.metadataStorage = this.core.createStorage('metadata')
+
+    return this.metadataStorage
+  }
+
+  // The metadata of every feed is kept in a log of JSON lines, so startup
+  // doesn't need to read block 0 of every feed. Later lines for a feed replace
+  // earlier ones. The first 4 bytes hold the length of the log, and are
+  // written after each line.
+  _loadMetadataLog (actorIds) {
+    const storage = this._metadataLog()
+
+    return _promise(cb => storage.read(0, 4, cb))
+    .then(header => _promise(cb => storage.read(4, header.readUInt32BE(0), cb)))
+    .then(data => {
+      const entries = data.toString().split('\n')
+        .filter(line => line)
+        .map(line => JSON.parse(line))
+
+      this.metadataLength = data.length
+
+      const latest = {} // actorId -> metadata
+      const latestUpdates = {} // docId -> metadata updates
+      entries.forEach(({actorId, metadata, docId, updates}) => {
+        if (docId) latestUpdates[docId] = updates
+        else latest[actorId] = metadata
+      })
+
+      // skip feeds and docs that have since been removed:
+      const current = Object.keys(latest).filter(actorId => actorIds.includes(actorId))
+      const currentDocs = Object.keys(latestUpdates).filter(docId => actorIds.includes(docId))
+
+      current.forEach(actorId => {
+        if (this.metaIndex[actorId]) return
+
+        this._indexMetadata(actorId, latest[actorId])
+        this.unvalidated[actorId] = true
+      })
+
+      // updates are applied again from the changes when the doc is opened:
+      currentDocs.forEach(docId => {
+        if (!this.metadataUpdates[docId]) this.metadataUpdates[docId] = latestUpdates[docId]
+      })
+
+      // drop replaced lines and removed feeds, so the log doesn't keep growing:
+      if (current.length + currentDocs.length < entries.length) {
+        this._writeMetadataLog(
+          current.map(actorId => ({actorId, metadata: latest[actorId]}))
+            .concat(currentDocs.map(docId => ({docId, updates: latestUpdates[docId]}))),
+          false)
+      }
+    })
+    // no log yet, or it can't be parsed. It's rebuilt from the feeds:
+    .catch(() => {})
+  }
+
+  _persistMetadata (actorId, metadata) {
+    this._writeMetadataLog([{actorId, metadata}], true)
+  }
+
+  // Appends lines to the metadata log, or replaces the whole log with them:
+  _writeMetadataLog (entries, append) {
+    const storage = this._metadataLog()
+    const lines = Buffer.from(entries.map(entry => JSON.stringify(entry) + '\n').join(''))
+
+    const writing = this.metadataWrites.then(() => {
+      const offset = append ? this.metadataLength : 0
+      const length = offset + lines.length
+      const header = Buffer.alloc(4)
+      header.writeUInt32BE(length, 0)
+
+      return _promise(cb => storage.write(4 + offset, lines, cb))
+      .then(() => _promise(cb => storage.write(0, header, cb)))
+      .then(() => {
+        this.metadataLength = length
+      })
+    })
+
+    _ignoreCacheErrors(writing)
+    this.metadataWrites = writing.catch(() => {})
+  }
+
+  // Checks metadata loaded from the log against block 0 of the feed:
+  _validateMetadata (actorId) {
+    if (!this.unvalidated[actorId]) return Promise.resolve()
+
+    return _promise(cb => {
+      this._feed(actorId).get(0, cb)
+    })
+    .then(data => {
+      if (!this.unvalidated[actorId]) return
+
+      const metadata = JSON.parse(data)
+      delete this.unvalidated[actorId]
+
+      if (JSON.stringify(metadata) === JSON.stringify(this.metaIndex[actorId])) return
+
+      this._unindexMetadata(actorId)
+      this._setMetadata(actorId, metadata)
+    })
+  }
+
+  _applyMetadataUpdates (docId, changes) {
+    const updated = changes.filter(change => change.metadata && this._isOwnChange(docId, change))
+    if (!updated.length) return
+
+    if (!this.metadataUpdates[docId]) this.metadataUpdates[docId] = {}
+    const updates = this.metadataUpdates[docId]
+    let isChanged = false
+
+    updated.forEach(({actor, seq, time, metadata}) => {
+      Object.keys(metadata).forEach(key => {
+        if (_lastWriterWins(updates, key, {value: metadata[key], time, actor, seq})) isChanged = true
+      })
+    })
+
+    if (!isChanged) return
+
+    // so the updated metadata is known before the doc is opened again:
+    this._writeMetadataLog([{docId, updates}], true)
+
+    /**
+     * Emitted when a document's metadata is changed with setMetadata(),
+     * locally or by another actor.
+     *
+     * @event metadata:updated
+     * @param {string} docId - the hex id representing this document
+     * @param {object} metadata - the updated metadata
+     */
+    this.emit('metadata:updated', docId, this.metadata(docId))
+  }
+
+  _applyTags (docId, changes) {
+    changes.filter(change => change.tag && this._isOwnChange(docId, change)).forEach(({actor, seq, time, tag}) => {
+      if (!this.tagIndex[docId]) this.tagIndex[docId] = {}
+
+      _lastWriterWins(this.tagIndex[docId], tag.name,
+        {name: tag.name, clock: tag.clock, time, actor, seq})
+    })
+  }
+
+  // Whether a change was made by one of the doc's actors, rather than pulled
+  // in from another doc with merge() or fork():
+  _isOwnChange (docId, {actor}) {
+    return (this.metaIndex[actor] || {}).docId === docId
+  }
+
+  _conflictsOf (doc) {
+    return _findConflicts(this.immutableApi ? doc.toJS() : doc, [])
+  }
+
+  _newConflicts (before, after) {
+    const existing = this._conflictsOf(before).map(conflict => JSON.stringify(conflict))
+
+    return this._conflictsOf(after)
+      .filter(conflict => !existing.includes(JSON.stringify(conflict)))
+  }
+
+  _emitConflicts (docId, before, after) {
+    // finding conflicts walks the whole doc:
+    if (!this.listenerCount('document:conflict')) return
+
+    const conflicts = this._newConflicts(before, after)
+    if (!conflicts.length) return
+
+    conflicts.forEach(conflict => {
+      conflict.actors = {}
+      Object.keys(conflict.conflicts).forEach(actorId => {
+        conflict.actors[actorId] = this.metadata(actorId)
+      })
+    })
+
+    /**
+     * Emitted when a remote change or a merge leaves fields of a document in
+     * conflict.
+     *
+     * @event document:conflict
+     * @param {string} docId - the hex id representing this document
+     * @param {object[]} conflicts - `{path, value, conflicts, actors}` for
+     *   each field newly in conflict, where `value` is the winning value,
+     *   `conflicts` maps actorId -> competing value, and `actors` maps
+     *   actorId -> metadata
+     */
+    this.emit('document:conflict', docId, conflicts)
+  }
+
+  _snapshotStorage (docId) {
+    if (!this.snapshotStorages[docId]) {
+      this.snapshotStorages[docId] = this.core.createStorage(`snapshots/${docId}`)
+    }
+
+    return this.snapshotStorages[docId]
+  }
+
+  // Restores the doc from its last snapshot, and marks the blocks it contains
+  // as requested so only newer blocks are loaded from the feeds:
+  _loadSnapshot (docId, actorId) {
+    const storage = this._snapshotStorage(docId)
 
-    // TODO extra, empty hypercores are still being created
+    return _promise(cb => storage.read(0, 4, cb))
+    .then(header => _promise(cb => storage.read(4, header.readUInt32BE(0), cb)))
+    .then(data => {
+      const {clock, history} = JSON.parse(data)
+      const doc = this.load(history, actorId)
 
-    if (this.isWritable(actorId)) {
-      this.docs[docId] = this.empty(actorId)
-    }
+      this.requestedBlocks[docId] = {}
+      Object.keys(clock).forEach(actor => {
+        this.requestedBlocks[docId][actor] = clock[actor] + START_BLOCK
+      })
 
-    const parentMetadata = this.metadata(actorId)
+      // metadata updates and tags in the snapshot won't be read from the feeds again:
+      const changes = doc._state.getIn(['opSet', 'history'])
+        .filter(change => change.has('metadata') || change.has('tag'))
+        .toJS()
+      this._applyMetadataUpdates(docId, changes)
+      this._applyTags(docId, changes)
 
-    // TODO might need an empty commit to be included in other vector clocks:
-    return this._create({docId}, parentMetadata)
+      return doc
+    })
+    // no snapshot yet, or it was only partially written:
+    .catch(() => this.empty(actorId))
   }
 
-  _initFeeds (actorIds) {
-    return Promise.all(
-      actorIds.map(actorId => {
-        // don't load metadata if the feed is empty:
-        if (this.length(actorId) === 0) {
-          console.log('skipping feed init', actorId)
-          return Promise.resolve(null)
-        }
+  _maybeSaveSnapshot (docId) {
+    if (!this.snapshotInterval) return
+    if ((this.unsnapshotted[docId] || 0) < this.snapshotInterval) return
+    if (this.savingSnapshots[docId]) return
+    if (!this._canSnapshot(docId)) return
 
-        return this._loadMetadata(actorId)
-        .then(({docId}) => {
-          if (this.isWritable(actorId)) {
-            this.docs[docId] = this.empty(actorId)
-          }
-        })
-        .then(() => actorId)
-      }))
+    _ignoreCacheErrors(this._saveSnapshot(docId))
   }
 
-  _loadMetadata (actorId) {
-    if (this.metaIndex[actorId]) return Promise.resolve(this.metaIndex[actorId])
-
-    return _promise(cb => {
-      this._feed(actorId).get(0, cb)
-    })
-    .then(data => this._setMetadata(actorId, JSON.parse(data)))
+  // Snapshots only include changes that are in the feeds, so block indexes
+  // still match seqs when the doc is restored:
+  _canSnapshot (docId) {
+    return this.isDocReady(docId) && !this.isMissingDeps(docId) && !this.appending[docId]
   }
 
-  _setMetadata (actorId, metadata) {
-    if (this.metaIndex[actorId]) return this.metaIndex[actorId]
+  // A failed append leaves the doc ahead of its feed, so it isn't snapshotted
+  // again until it's reloaded from the feeds:
+  _trackAppend (docId, flushed) {
+    this.appending[docId] = (this.appending[docId] || 0) + 1
 
-    this.metaIndex[actorId] = metadata
-    const {docId, groupId} = metadata
+    flushed.then(() => {
+      if (!this.appending[docId]) return
+      if (--this.appending[docId] === 0) delete this.appending[docId]
 
-    if (!this.groupIndex[groupId]) this.groupIndex[groupId] = []
-    this.groupIndex[groupId].push(actorId)
+      this._maybeSaveSnapshot(docId)
+    }, () => {})
+  }
 
-    if (!this.docIndex[docId]) this.docIndex[docId] = []
-    this.docIndex[docId].push(actorId)
+  // The clock is taken from the doc rather than requestedBlocks, which can
+  // include blocks that have been requested but not yet applied:
+  _saveSnapshot (docId) {
+    const doc = this.find(docId)
+    const storage = this._snapshotStorage(docId)
 
-    return metadata
+    const data = Buffer.from(JSON.stringify({
+      clock: this.clock(doc).toJS(),
+      history: Automerge.save(doc)
+    }))
+    const header = Buffer.alloc(4)
+    header.writeUInt32BE(data.length, 0)
+
+    this.savingSnapshots[docId] = true
+    this.unsnapshotted[docId] = 0
+
+    // write the header last. An interrupted write fails to parse on load,
+    // which falls back to replaying the feeds:
+    return _promise(cb => storage.write(4, data, cb))
+    .then(() => _promise(cb => storage.write(0, header, cb)))
+    .then(() => {
+      delete this.savingSnapshots[docId]
+    }, err => {
+      delete this.savingSnapshots[docId]
+      throw err
+    })
   }
 
   _loadAllBlocks (actorId) {
@@ -454,7 +1668,7 @@ module.exports = class Hypermerge extends EventEmitter {
   _loadMissingBlocks (actorId) {
     const docId = this.actorToId(actorId)
 
-    if (docId !== actorId) return
+    if (docId !== actorId || !this.docs[docId]) return
 
     const deps = Automerge.getMissingDeps(this.find(docId))
 
@@ -471,11 +1685,34 @@ module.exports = class Hypermerge extends EventEmitter {
     // Stop requesting if done:
     if (first >= last) return Promise.resolve()
 
-    return this._getBlockRange(actorId, first, last)
-    .then(blocks => this._applyBlocks(docId, blocks))
+    return this._loadBlockBatches(docId, actorId, first, last)
     .then(() => this._loadMissingBlocks(docId))
   }
 
+  // Loads and applies blocks in batches, so that long feeds don't create a
+  // callback and hold a parsed change in memory for every block at once:
+  _loadBlockBatches (docId, actorId, first, last) {
+    const end = Math.min(last, first + BATCH_SIZE)
+
+    return this._getBlockRange(actorId, first, end)
+    .then(blocks => {
+      this._applyBlocks(docId, actorId, blocks)
+
+      /**
+       * Emitted after each batch of blocks is loaded from a feed.
+       *
+       * @event feed:progress
+       * @param {string} docId - the hex id representing the document
+       * @param {string} actorId - the actor whose feed is loading
+       * @param {number} loaded - number of changes loaded from the feed
+       * @param {number} total - number of changes being loaded from the feed
+       */
+      this.emit('feed:progress', docId, actorId, end - START_BLOCK, last - START_BLOCK)
+
+      if (end < last) return this._loadBlockBatches(docId, actorId, end, last)
+    })
+  }
+
   _getBlockRange (actorId, first, last) {
     const length = Math.max(0, last - first)
 
@@ -489,18 +1726,183 @@ module.exports = class Hypermerge extends EventEmitter {
     })
   }
 
-  _applyBlock (docId, block) {
-    return this._applyBlocks(docId, [block])
+  _applyBlock (docId, actorId, block) {
+    return this._applyBlocks(docId, actorId, [block])
+  }
+
+  _applyBlocks (docId, actorId, blocks) {
+    let error = null
+    const changes = []
+    blocks.some(block => {
+      try {
+        changes.push(JSON.parse(block))
+      } catch (err) {
+        error = err
+      }
+      return error
+    })
+
+    const doc = this._applyChanges(docId, actorId, changes)
+
+    // blocks after one that isn't a change are quarantined as they are:
+    if (error && this.docs[docId]) {
+      this._quarantine(docId, actorId, error, blocks.slice(changes.length).map(String))
+    }
+
+    return doc
+  }
+
+  _applyChanges (docId, actorId, changes) {
+    // the doc may have been unloaded while its blocks were loading:
+    if (!this.docs[docId]) return null
+
+    const valid = this._applyValidChanges(docId, actorId, changes)
+    if (valid.changes.length === 0) return this.find(docId)
+
+    changes = valid.changes
+    const doc = this._setRemote(valid.doc)
+    this._applyMetadataUpdates(docId, changes)
+    this._applyTags(docId, changes)
+    // changes replayed from our own feed were made locally:
+    const origin = this.isWritable(actorId) ? 'local' : 'remote'
+    this._emitChanged(docId, doc, {origin, actorId, changes})
+    this._emitProgress(docId)
+
+    return doc
+  }
+
+  // Applies changes from an actor to a copy of the doc, up to the first one
+  // that can't be applied or leaves the doc invalid. That one and the changes
+  // after it are quarantined. Returns the copy and the changes it includes.
+  _applyValidChanges (docId, actorId, changes) {
+    const doc = this.find(docId)
+    if (!changes.length) return {doc, changes}
+
+    const quarantined = (this.quarantine[docId] || {})[actorId]
+    if (quarantined) {
+      // later changes from the actor depend on the quarantined ones:
+      this._quarantine(docId, actorId, quarantined.error, changes)
+      return {doc, changes: []}
+    }
+
+    const applied = this._tryApplyChanges(docId, doc, changes)
+    if (!applied.error) return {doc: applied.doc, changes}
+
+    let valid = doc
+    for (let i = 0; i < changes.length; i++) {
+      const {doc, error} = this._tryApplyChanges(docId, valid, [changes[i]])
+      if (error) {
+        this._quarantine(docId, actorId, error, changes.slice(i))
+        return {doc: valid, changes: changes.slice(0, i)}
+      }
+      valid = doc
+    }
+
+    return {doc: valid, changes}
+  }
+
+  _tryApplyChanges (docId, doc, changes) {
+    try {
+      doc = Automerge.applyChanges(doc, changes)
+    } catch (err) {
+      // Automerge throws strings for changes it can't apply:
+      return {doc, error: err instanceof Error ? err : new Error(err)}
+    }
+
+    return {doc, error: this._validationError(docId, doc)}
+  }
+
+  _quarantine (docId, actorId, error, changes) {
+    if (!this.quarantine[docId]) this.quarantine[docId] = {}
+    const quarantined = this.quarantine[docId][actorId] || {error, changes: []}
+    quarantined.changes = quarantined.changes.concat(changes)
+    this.quarantine[docId][actorId] = quarantined
+
+    /**
+     * Emitted when changes from an actor's feed can't be applied, or would
+     * leave a document invalid. The changes, and any later changes from the
+     * actor, are not applied.
+     *
+     * @event document:quarantined
+     * @param {string} docId - the hex id representing this document
+     * @param {string} actorId - the actor that made the changes
+     * @param {Error} error - why the changes weren't applied
+     * @param {object[]} changes - the quarantined changes, or the blocks as
+     *   strings from one that isn't a change
+     */
+    this.emit('document:quarantined', docId, actorId, error, changes)
+  }
+
+  _validator (docId) {
+    const {groupId} = this.metaIndex[docId] || {}
+    return this.validators[docId] || this.validators[groupId] || this.validate
+  }
+
+  _validationError (docId, doc) {
+    const validate = this._validator(docId)
+    if (!validate) return null
+
+    try {
+      if (validate(doc, docId) === false) return new Error(`Invalid document. docId: ${docId}`)
+    } catch (err) {
+      return err
+    }
+
+    return null
   }
 
-  _applyBlocks (docId, blocks) {
-    return this._applyChanges(docId, blocks.map(block => JSON.parse(block)))
+  // Estimates how much of a doc has loaded. The total is only as good as what
+  // we know so far: feed lengths of the doc's actors, blocks we've requested,
+  // and dependencies we know are missing.
+  _progress (docId) {
+    const clock = this.clock(this.find(docId)).toJS()
+    const deps = Automerge.getMissingDeps(this.find(docId))
+    const requested = this.requestedBlocks[docId] || {}
+    const docActors = this.docIndex[docId] || []
+
+    const actorIds = Object.keys(Object.assign({}, clock, deps, requested))
+    docActors.forEach(actorId => {
+      if (!actorIds.includes(actorId)) actorIds.push(actorId)
+    })
+
+    let loadedBlocks = 0
+    let knownTotalBlocks = 0
+    const actorsPending = []
+
+    actorIds.forEach(actorId => {
+      const feed = this.feeds[actorId]
+      const loaded = clock[actorId] || 0
+
+      // other docs' feeds (e.g. a fork's parent) can be longer than we need:
+      const length = feed && docActors.includes(actorId) ? feed.length - START_BLOCK : 0
+
+      const total = Math.max(
+        loaded,
+        length,
+        deps[actorId] || 0,
+        (requested[actorId] || START_BLOCK) - START_BLOCK)
+
+      loadedBlocks += loaded
+      knownTotalBlocks += total
+      if (loaded < total) actorsPending.push(actorId)
+    })
+
+    return {loadedBlocks, knownTotalBlocks, actorsPending}
   }
 
-  _applyChanges (docId, changes) {
-    return changes.length > 0
-      ? this._setRemote(Automerge.applyChanges(this.find(docId), changes))
-      : this.find(docId)
+  _emitProgress (docId) {
+    const {loadedBlocks, knownTotalBlocks, actorsPending} = this._progress(docId)
+
+    /**
+     * Emitted as changes to a document are loaded from storage or the network.
+     *
+     * @event document:progress
+     * @param {string} docId - the hex id representing this document
+     * @param {number} loadedBlocks - number of changes applied to the document
+     * @param {number} knownTotalBlocks - number of changes known to exist
+     * @param {string[]} actorsPending - actors with changes still to be loaded
+     */
+    this.emit('document:progress', docId, loadedBlocks, knownTotalBlocks, actorsPending)
   }
 
   // tracks which blocks have been requested for a given doc,
@@ -520,6 +1922,7 @@ module.exports = class Hypermerge extends EventEmitter {
 
   _setRemote (doc) {
     const docId = this.getId(doc)
+    const before = this.find(docId)
 
     this.set(doc)
 
@@ -532,6 +1935,50 @@ module.exports = class Hypermerge extends EventEmitter {
        * @param {Document} document - automerge document
        */
       this.emit('document:updated', docId, doc)
+
+      this._emitToHandles(docId, 'remote', doc)
+      this._emitConflicts(docId, before, doc)
+    }
+
+    return doc
+  }
+
+  _emitChanged (docId, doc, info) {
+    /**
+     * Emitted for every change to a document, whether it was made locally
+     * or applied from an actor's feed.
+     *
+     * @event document:changed
+     * @param {string} docId - the hex id representing this document
+     * @param {Document} document - automerge document
+     * @param {object} info
+     * @param {string} info.origin - 'local' for changes made by this
+     *   instance's writable feeds, including when they're loaded from
+     *   storage, or 'remote'
+     * @param {string} info.actorId - the actor that made the changes
+     * @param {object[]} info.changes - the automerge changes
+     */
+    this.emit('document:changed', docId, doc, info)
+
+    this._emitToHandles(docId, 'change', doc, info)
+
+    this.unsnapshotted[docId] = (this.unsnapshotted[docId] || 0) + info.changes.length
+    this._maybeSaveSnapshot(docId)
+  }
+
+  _emitToHandles (docId, event, ...args) {
+    const handles = this.handles[docId] || []
+    handles.forEach(handle => handle.emit(event, ...args))
+  }
+
+  _removeHandle (handle) {
+    const {docId} = handle
+    const handles = (this.handles[docId] || []).filter(h => h !== handle)
+
+    if (handles.length) {
+      this.handles[docId] = handles
+    } else {
+      delete this.handles[docId]
     }
   }
 
@@ -557,10 +2004,13 @@ module.exports = class Hypermerge extends EventEmitter {
         Object.values(this.core.archiver.feeds)
         .map(feed => feed.key.toString('hex'))
 
-      this._initFeeds(actorIds)
+      this._loadMetadataLog(actorIds)
+      .then(() => this._initFeeds(actorIds))
       .then(() => {
+        if (this.isClosed) return
+
+        // feeds are tracked once their doc is opened, see _openDoc():
         this.isReady = true
-        actorIds.forEach(actorId => this.feed(actorId))
         this.emit('ready', this)
       })
     }
@@ -568,7 +2018,7 @@ module.exports = class Hypermerge extends EventEmitter {
 
   _onDownload (docId, actorId) {
     return (index, data) => {
-      this._applyBlock(docId, data)
+      this._applyBlock(docId, actorId, data)
       this._loadMissingBlocks(docId)
     }
   }
@@ -634,9 +2084,63 @@ module.exports = class Hypermerge extends EventEmitter {
     }
   }
 
+  _rejectReadyCallbacks (docId, err) {
+    const callbacks = this.readyCallbacks[docId] || []
+    delete this.readyCallbacks[docId]
+    callbacks.forEach(cb => cb(err))
+  }
+
+  _whenDocReady (docId, {timeout, signal} = {}) {
+    if (this.isDocReady(docId)) return Promise.resolve(this.find(docId))
+
+    return new Promise((resolve, reject) => {
+      let timer = null
+
+      const done = (err, doc) => {
+        clearTimeout(timer)
+        if (signal) signal.removeEventListener('abort', onAbort)
+
+        const callbacks = this.readyCallbacks[docId]
+        if (callbacks) this.readyCallbacks[docId] = callbacks.filter(cb => cb !== done)
+
+        err ? reject(err) : resolve(doc)
+      }
+
+      const onAbort = () => {
+        done(new Error(`Opening document was aborted. docId: ${docId}`))
+      }
+
+      if (signal) {
+        if (signal.aborted) return onAbort()
+        signal.addEventListener('abort', onAbort)
+      }
+
+      if (timeout != null) {
+        timer = setTimeout(() => {
+          done(new Error(`Timed out opening document after ${timeout}ms. docId: ${docId}`))
+        }, timeout)
+      }
+
+      if (!this.readyCallbacks[docId]) this.readyCallbacks[docId] = []
+      this.readyCallbacks[docId].push(done)
+    })
+  }
+
   _emitReady (docId) {
+    try {
+      this._migrate(docId)
+    } catch (err) {
+      // the doc is migrated when it's opened again:
+      this._rejectReadyCallbacks(docId, err)
+      return this.unload(docId)
+    }
+
     const doc = this.find(docId)
 
+    const callbacks = this.readyCallbacks[docId] || []
+    delete this.readyCallbacks[docId]
+    callbacks.forEach(cb => cb(null, doc))
+
     /**
      * Emitted when a document has been fully loaded.
      *
@@ -645,13 +2149,359 @@ module.exports = class Hypermerge extends EventEmitter {
      * @param {Document} document - automerge document
      */
     this.emit('document:ready', docId, doc)
+
+    this._maybeSaveSnapshot(docId)
+  }
+
+  // Applies the migrations a doc is missing. Each one leaves a marker in the
+  // doc, so it isn't applied again by forks or docs that merge it:
+  _migrate (docId) {
+    // peers without the doc's own feed wait for its migrations to replicate:
+    if (!this.isWritable(docId)) return
+
+    this._migrationSteps().forEach(({fromVersion, toVersion, migrate}) => {
+      const doc = this.find(docId)
+      const marker = `migrated:${toVersion}`
+      if (_hasMarker(doc, marker)) return
+
+      const migrated = Automerge.change(doc, `Migrated from version ${fromVersion} to ${toVersion}`, migrate)
+      const [change] = Automerge.getChanges(doc, migrated)
+      change.ops.push(_markerOp(doc, marker))
+      // apps read the version from the metadata:
+      Object.assign(change, {metadata: {schemaVersion: toVersion}, time: Date.now()})
+
+      // migrations can't be undone:
+      this._emitErrors(this._update(Automerge.applyChanges(doc, [change]), false))
+    })
+  }
+
+  // The registered migrations, in order from version 0:
+  _migrationSteps () {
+    const steps = []
+
+    for (let version = 0; this.migrations[version]; version = this.migrations[version].toVersion) {
+      steps.push(Object.assign({fromVersion: version}, this.migrations[version]))
+    }
+
+    return steps
   }
 
   _ensureReady () {
+    if (this.isClosed) throw new Error('Hypermerge is closed.')
     if (!this.isReady) throw new Error('Hypermerge is not ready yet. Use .once("ready") first.')
   }
 }
 
+// Turns an Automerge diff between two frozen docs into path-level edits:
+function _diff (from, to) {
+  const fromObjects = _objectPaths(from, [], {})
+  const toObjects = _objectPaths(to, [], {})
+
+  return Automerge.diff(from, to)
+    // edits to objects created in the diff are part of the value they're added with:
+    .filter(({action, obj, key}) => action !== 'create' && fromObjects[obj] && !_isMarker(key))
+    .map(({action, type, obj, key, index, value, link}) => {
+      const {path} = toObjects[obj] || fromObjects[obj]
+      const edit = {action, type, path: path.concat(type === 'map' ? key : index)}
+
+      if (action === 'remove') edit.action = 'delete'
+      if (action === 'set') {
+        const existed = type !== 'map' || Object.keys(fromObjects[obj].object).includes(key)
+        edit.action = existed ? 'update' : 'add'
+      }
+      if (action !== 'remove') edit.value = link ? (toObjects[value] || {}).object : value
+
+      return edit
+    })
+}
+
+// Like Automerge.change(), but returns the doc itself when the callback edits
+// nothing, as changes without ops can't be applied back to back:
+function _changeWithEdits (doc, message, changeFn) {
+  const changed = Automerge.change(doc, message, changeFn)
+
+  return _hasEdits(Automerge.getChanges(doc, changed)) ? changed : doc
+}
+
+function _hasEdits (changes) {
+  return changes.some(({ops}) => ops.some(({key}) => !_isMarker(key)))
+}
+
+function _markerOp (doc, name) {
+  return {action: 'del', obj: doc._objectId, key: name ? `${MARKER_KEY}:${name}` : MARKER_KEY}
+}
+
+function _hasMarker (doc, name) {
+  return doc._state.hasIn(['opSet', 'byObject', doc._objectId, `${MARKER_KEY}:${name}`])
+}
+
+function _isMarker (key) {
+  return typeof key === 'string' && key.startsWith(MARKER_KEY)
+}
+
+// Indexes every object in a frozen doc as objectId -> {path, object}:
+function _objectPaths (object, path, index) {
+  if (!object || typeof object !== 'object') return index
+
+  index[object._objectId] = {path, object}
+  if (object instanceof Automerge.Text) return index
+
+  Object.keys(object)
+    .filter(key => key !== '_objectId')
+    .forEach(key => _objectPaths(
+      object[key],
+      path.concat(Array.isArray(object) ? Number(key) : key),
+      index))
+
+  return index
+}
+
+// Sets every field a list of changes touched back to its value in the doc
+// before the changes, unless other actors wrote it after the changes.
+// `current` is the doc that `mutable` is a change of.
+function _revertChanges ({before, after, changes}, current, mutable) {
+  const beforeObjects = _objectPaths(before, [], {})
+  const currentObjects = _objectPaths(current, [], {})
+
+  const currentPaths = {} // path -> objectId
+  Object.keys(currentObjects).forEach(objectId => {
+    currentPaths[JSON.stringify(currentObjects[objectId].path)] = objectId
+  })
+
+  // fields written by other actors since the changes keep their new values:
+  const actorId = current._actorId
+  const written = {} // objectId -> [key or elemId]
+  Automerge.getChanges(after, current)
+    .filter(({actor}) => actor !== actorId)
+    .forEach(({actor, ops}) => ops.forEach(op => {
+      if (!written[op.obj]) written[op.obj] = []
+      written[op.obj].push(op.action === 'ins' ? `${actor}:${op.elem}` : op.key)
+    }))
+  const isWritten = (objectId, field) => (written[objectId] || []).includes(field)
+
+  const fields = {} // objectId -> [key or elemId]
+  const replaced = {} // objectId -> Boolean
+  changes.forEach(({actor, ops}) => ops.forEach(op => {
+    // objects made by the changes are reverted by their parent:
+    if (!beforeObjects[op.obj]) return
+
+    // an object that has been replaced since (e.g. by undoing the change that
+    // made it) is reverted by replacing the object now at its path:
+    if (!currentObjects[op.obj]) {
+      const {path} = beforeObjects[op.obj]
+      if (currentPaths[JSON.stringify(path)] && !_isWrittenAt(current, currentPaths, path, isWritten)) {
+        replaced[op.obj] = true
+      }
+      return
+    }
+
+    const field = op.action === 'ins' ? `${actor}:${op.elem}` : op.key
+    if (isWritten(op.obj, field)) return
+    if (!fields[op.obj]) fields[op.obj] = []
+    if (!fields[op.obj].includes(field)) fields[op.obj].push(field)
+  }))
+
+  Object.keys(fields).forEach(objectId => {
+    const {path, object} = currentObjects[objectId]
+    const original = beforeObjects[objectId].object
+    const target = path.reduce((target, key) => target[key], mutable)
+
+    if (!current._state.getIn(['opSet', 'byObject', objectId, '_elemIds'])) {
+      return _revertMap(target, original, object, fields[objectId])
+    }
+
+    _revertList(target, original, object, fields[objectId],
+      _elemIds(before, objectId),
+      _elemIds(current, objectId))
+  })
+
+  const paths = Object.keys(replaced)
+    .map(objectId => beforeObjects[objectId].path)
+    .sort((a, b) => a.length - b.length)
+
+  paths
+    .filter((path, i) => !paths.slice(0, i).some(parent =>
+      parent.length < path.length && parent.every((key, j) => key === path[j])))
+    .forEach(path => {
+      const object = path.reduce((object, key) => object[key], before)
+      const target = path.slice(0, -1).reduce((target, key) => target[key], mutable)
+
+      _copyInto(target, path[path.length - 1], object)
+    })
+}
+
+// Whether the field holding the object at `path` was written by other actors:
+function _isWrittenAt (doc, paths, path, isWritten) {
+  const parentId = paths[JSON.stringify(path.slice(0, -1))]
+  const key = path[path.length - 1]
+
+  if (!parentId) return false
+  if (typeof key === 'string') return isWritten(parentId, key)
+  return isWritten(parentId, _elemIds(doc, parentId)[key])
+}
+
+function _revertMap (target, original, current, keys) {
+  keys.forEach(key => {
+    if (!(key in original)) {
+      if (key in current) delete target[key]
+    } else if (original[key] instanceof Automerge.Text ||
+        JSON.stringify(original[key]) !== JSON.stringify(current[key])) {
+      _copyInto(target, key, original[key])
+    }
+  })
+}
+
+function _revertList (target, original, current, elemIds, beforeIds, currentIds) {
+  const valueAt = (list, i) => list instanceof Automerge.Text ? list.get(i) : list[i]
+  const ids = currentIds.slice()
+
+  // elements that were changed:
+  elemIds
+    .filter(elemId => beforeIds.includes(elemId) && ids.includes(elemId))
+    .forEach(elemId => {
+      const i = ids.indexOf(elemId)
+      const value = valueAt(original, beforeIds.indexOf(elemId))
+
+      if (JSON.stringify(value) !== JSON.stringify(valueAt(current, i))) _copyInto(target, i, value)
+    })
+
+  // elements that were inserted:
+  elemIds
+    .filter(elemId => !beforeIds.includes(elemId) && ids.includes(elemId))
+    .map(elemId => ids.indexOf(elemId))
+    .sort((a, b) => b - a)
+    .forEach(i => {
+      target.deleteAt(i)
+      ids.splice(i, 1)
+    })
+
+  // elements that were removed go back after the closest element still there:
+  beforeIds.forEach((elemId, beforeIndex) => {
+    if (!elemIds.includes(elemId) || ids.includes(elemId)) return
+
+    let prev = beforeIndex - 1
+    while (prev >= 0 && !ids.includes(beforeIds[prev])) prev--
+
+    const i = prev < 0 ? 0 : ids.indexOf(beforeIds[prev]) + 1
+    const value = valueAt(original, beforeIndex)
+
+    if (value && typeof value === 'object') {
+      target.insertAt(i, null)
+      _copyInto(target, i, value)
+    } else {
+      target.insertAt(i, value)
+    }
+    ids.splice(i, 0, elemId)
+  })
+}
+
+function _elemIds (doc, objectId) {
+  return Array.from(doc._state.getIn(['opSet', 'byObject', objectId, '_elemIds']).iterator('keys'))
+}
+
+// Copies a value from another doc into a doc being changed:
+function _copyInto (target, key, value) {
+  if (value instanceof Automerge.Text) {
+    target[key] = new Automerge.Text()
+    if (value.length) target[key].insertAt(0, ...value.join('').split(''))
+  } else if (Array.isArray(value)) {
+    target[key] = []
+    value.forEach((item, i) => {
+      target[key].push(null)
+      _copyInto(target[key], i, item)
+    })
+  } else if (value && typeof value === 'object') {
+    target[key] = {}
+    Object.keys(value)
+      .filter(k => k !== '_objectId')
+      .forEach(k => _copyInto(target[key], k, value[k]))
+  } else {
+    target[key] = value
+  }
+}
+
+function _changeSelector (selector) {
+  if (typeof selector === 'function') return selector
+  if (typeof selector === 'string') return ({message}) => message === selector
+
+  return ({actor, seq}) => selector.some(change =>
+    change.actor === actor && change.seq === seq)
+}
+
+// Adds every change in `candidates` that the selected changes depend on,
+// either directly or through an earlier change by the same actor.
+function _withCausalDeps (selected, candidates) {
+  const find = (actor, seq) => candidates.find(change =>
+    change.actor === actor && change.seq === seq)
+
+  const picked = new Set()
+  const stack = selected.slice()
+
+  while (stack.length) {
+    const change = stack.pop()
+    if (!change || picked.has(change)) continue
+
+    picked.add(change)
+    stack.push(find(change.actor, change.seq - 1))
+    Object.keys(change.deps).forEach(actor =>
+      stack.push(find(actor, change.deps[actor])))
+  }
+
+  return candidates.filter(change => picked.has(change))
+}
+
+// Finds every field with an Automerge `_conflicts` entry, as
+// `{path, value, conflicts}` where `conflicts` maps actorId -> value.
+function _findConflicts (obj, path) {
+  if (!obj || typeof obj !== 'object' || obj instanceof Automerge.Text) return []
+
+  const conflicts = obj._conflicts || {}
+  const key = k => Array.isArray(obj) ? Number(k) : k
+
+  const found = Object.keys(conflicts)
+    .filter(k => conflicts[k] && Object.keys(conflicts[k]).length)
+    .map(k => ({path: path.concat(key(k)), value: obj[k], conflicts: conflicts[k]}))
+
+  return Object.keys(obj)
+    .filter(k => k !== '_conflicts')
+    .reduce((all, k) => all.concat(_findConflicts(obj[k], path.concat(key(k)))), found)
+}
+
+// Snapshots and the metadata log are only caches: without them, docs and
+// metadata are read from the feeds. Failing to write them isn't an error:
+function _ignoreCacheErrors (promise) {
+  promise.catch(() => {})
+}
+
+function _removeFromIndex (index, id, actorId) {
+  const actorIds = (index[id] || []).filter(other => other !== actorId)
+
+  if (actorIds.length) {
+    index[id] = actorIds
+  } else {
+    delete index[id]
+  }
+}
+
+// Sets index[key] to entry unless the current entry was written later, with
+// the actorId and then the change's seq as tie-breakers. Returns whether the
+// entry was set.
+function _lastWriterWins (index, key, entry) {
+  const current = index[key]
+  if (current && (current.time > entry.time ||
+      (current.time === entry.time && current.actor > entry.actor) ||
+      (current.time === entry.time && current.actor === entry.actor && current.seq >= entry.seq))) return false
+
+  index[key] = entry
+  return true
+}
+
+function _checkReservedMetadata (metadata) {
+  Object.keys(metadata).forEach(key => {
+    if (RESERVED_METADATA.includes(key)) throw new Error(`Metadata can't be changed. key: ${key}`)
+  })
+}
+
 function _promise (f) {
   return new Promise((resolve, reject) => {
     f((err, x) => {
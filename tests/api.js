@@ -1,7 +1,12 @@
+const fs = require('fs')
+const path = require('path')
 const test = require('tape')
+const tmp = require('tmp')
+const Automerge = require('automerge')
 const Hypermerge = require('..')
 const ram = require('random-access-memory')
 const OnlineOfflinePump = require('./lib/online-offline-pump')
+const persistentStorage = require('./lib/persistent-storage')
 
 test('setup', t => {
   t.plan(2)
@@ -24,12 +29,13 @@ test('create a new actor and document', t => {
   t.plan(2)
   const hm1 = new Hypermerge({path: ram})
   hm1.once('ready', () => {
-    const doc1 = hm1.create()
-    t.deepEqual(doc1, {
-      _objectId: '00000000-0000-0000-0000-000000000000'
-    }, 'expected empty automerge doc')
     hm1.once('document:ready', (hex, doc) => {
-      t.equal(doc1, doc)
+      t.deepEqual(doc, {
+        _objectId: '00000000-0000-0000-0000-000000000000'
+      }, 'expected empty automerge doc')
+    })
+    hm1.create().then(doc1 => {
+      t.equal(doc1, hm1.find(hm1.getId(doc1)), 'resolves with the ready doc')
     })
   })
 })
@@ -54,12 +60,14 @@ test('.update() a document and .open() it on a second node', t => {
     hm2.once('ready', () => {
       const pump = new OnlineOfflinePump(hm1, hm2)
 
-      let doc1 = hm1.create()
+      let doc1
 
       // document:updated only receives below if we open after hm1 is ready:
-      hm1.once('document:ready', id => {
+      hm1.create().then(doc => {
+        doc1 = doc
+        const id = hm1.getId(doc1)
         pump.goOnline()
-        t.equal(id, hm1.getId(doc1), 'readied id should be the doc we created')
+        t.ok(hm1.isDocReady(id), 'created doc should be ready')
         hm2.open(id)
       })
 
@@ -99,8 +107,7 @@ test('.fork() a document, make changes, and then .merge() it', t => {
   t.plan(4)
 
   const hm1 = new Hypermerge({path: ram})
-  hm1.once('ready', () => {
-    const doc1 = hm1.create()
+  hm1.once('ready', () => hm1.create().then(doc1 => {
     const id1 = hm1.getId(doc1)
 
     // first change
@@ -138,5 +145,1372 @@ test('.fork() a document, make changes, and then .merge() it', t => {
       _objectId: '00000000-0000-0000-0000-000000000000',
       test: 2
     }, 'doc1 contains second change after merge')
+  }))
+})
+
+test('.open() resolves with the doc for the requested docId', t => {
+  t.plan(2)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => {
+    const hm2 = new Hypermerge({path: ram})
+    hm2.once('ready', () => {
+      const pump = new OnlineOfflinePump(hm1, hm2)
+
+      Promise.all([hm1.create(), hm1.create()])
+      .then(([docA, docB]) => {
+        hm1.change(docB, doc => {
+          doc.name = 'b'
+        })
+        pump.goOnline()
+
+        return Promise.all([
+          hm2.open(hm1.getId(docA)),
+          hm2.open(hm1.getId(docB))
+        ])
+      })
+      .then(([docA, docB]) => {
+        t.deepEqual(docA, {
+          _objectId: '00000000-0000-0000-0000-000000000000'
+        }, 'first open resolves with the first doc')
+        t.deepEqual(docB, {
+          _objectId: '00000000-0000-0000-0000-000000000000',
+          name: 'b'
+        }, 'second open resolves with the second doc')
+      })
+    })
+  })
+})
+
+test('.open() rejects after the given timeout', t => {
+  t.plan(1)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => {
+    hm1.open('0'.repeat(64), {timeout: 10})
+    .catch(err => {
+      t.ok(/Timed out/.test(err.message), 'rejects with a timeout error')
+    })
+  })
+})
+
+test('.handle() scopes changes and events to a single document', t => {
+  t.plan(6)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => {
+    const hm2 = new Hypermerge({path: ram})
+    hm2.once('ready', () => {
+      const pump = new OnlineOfflinePump(hm1, hm2)
+
+      hm1.create({title: 'handled'}).then(doc1 => {
+        const id = hm1.getId(doc1)
+        const handle1 = hm1.handle(id)
+
+        t.equal(handle1.metadata.title, 'handled', 'exposes root metadata')
+        t.deepEqual(handle1.actors, [id], 'lists the actors of the doc')
+
+        handle1.once('change', doc => {
+          t.equal(doc.test, 1, 'emits change for local edits')
+        })
+        handle1.change(doc => {
+          doc.test = 1
+        })
+        t.equal(handle1.value.test, 1, 'value reflects the latest change')
+
+        pump.goOnline()
+
+        return hm2.open(id).then(() => {
+          const handle2 = hm2.handle(id)
+
+          handle2.once('remote', doc => {
+            t.equal(doc.test, 2, 'emits remote for downloaded changes')
+            handle2.close()
+            t.notOk(hm2.handles[id], 'closed handles are removed')
+          })
+
+          handle1.change(doc => {
+            doc.test = 2
+          })
+        })
+      })
+    })
+  })
+})
+
+test('document:changed is emitted for local and remote changes', t => {
+  t.plan(6)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => {
+    const hm2 = new Hypermerge({path: ram})
+    hm2.once('ready', () => {
+      const pump = new OnlineOfflinePump(hm1, hm2)
+
+      hm1.create().then(doc1 => {
+        const id = hm1.getId(doc1)
+
+        hm1.once('document:changed', (docId, doc, {origin, actorId, changes}) => {
+          t.equal(docId, id, 'local change has the docId')
+          t.equal(origin, 'local', 'local change has local origin')
+          t.equal(changes.length, 1, 'local change includes the changes')
+        })
+        // not emitted without changes:
+        hm1.update(doc1)
+        hm1.change(doc1, doc => {
+          doc.test = 1
+        })
+
+        pump.goOnline()
+
+        return hm2.open(id).then(() => {
+          hm2.once('document:changed', (docId, doc, {origin, actorId}) => {
+            t.equal(origin, 'remote', 'downloaded change has remote origin')
+            t.equal(actorId, id, 'downloaded change has the actorId')
+            t.equal(doc.test, 2, 'downloaded change is applied')
+          })
+
+          hm1.change(hm1.find(id), doc => {
+            doc.test = 2
+          })
+        })
+      })
+    })
+  })
+})
+
+test('.changeAsync() resolves once the change is persisted', t => {
+  t.plan(2)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id = hm1.getId(doc1)
+
+    return hm1.changeAsync(doc1, doc => {
+      doc.test = 1
+    })
+    .then(doc => {
+      t.equal(doc.test, 1, 'resolves with the changed doc')
+      t.equal(hm1.length(id), 2, 'change is appended after the metadata block')
+    })
+  }))
+})
+
+test('.changeAsync() rejects invalid changes', t => {
+  t.plan(2)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id = hm1.getId(doc1)
+    hm1.setValidator(id, doc => doc.test !== 'invalid')
+
+    return hm1.changeAsync(doc1, doc => {
+      doc.test = 'invalid'
+    })
+    .catch(err => {
+      t.ok(err, 'rejects with the validation error')
+      t.notOk('test' in hm1.find(id), 'change is not applied')
+    })
+  }))
+})
+
+test('failed appends are emitted as errors', t => {
+  t.plan(2)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id = hm1.getId(doc1)
+    hm1.feed(id).append = (blocks, cb) => cb(new Error('append failed'))
+
+    hm1.once('error', err => {
+      t.equal(err.message, 'append failed', 'update() emits the error')
+    })
+    hm1.change(doc1, doc => {
+      doc.test = 1
+    })
+
+    return hm1.changeAsync(hm1.find(id), doc => {
+      doc.test = 2
+    })
+    .catch(err => {
+      t.equal(err.message, 'append failed', 'changeAsync() rejects')
+    })
+  }))
+})
+
+test('documents are not snapshotted with changes that failed to append', t => {
+  t.plan(2)
+
+  const storage = persistentStorage()
+
+  const hm1 = new Hypermerge({path: storage, snapshotInterval: 1})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id = hm1.getId(doc1)
+    hm1.feed(id).append = (blocks, cb) => cb(new Error('append failed'))
+
+    return hm1.changeAsync(doc1, doc => {
+      doc.test = 1
+    })
+    .catch(err => {
+      t.equal(err.message, 'append failed', 'the append fails')
+      t.notOk(storage.files[`snapshots/${id}`], 'no snapshot is written')
+    })
+  }))
+})
+
+test('failed snapshot and metadata index writes are not errors', t => {
+  t.plan(2)
+
+  const storage = name => {
+    const file = ram()
+    if (name === 'metadata' || name.startsWith('snapshots/')) {
+      file.write = (offset, data, cb) => cb(new Error('write failed'))
+    }
+    return file
+  }
+
+  const hm1 = new Hypermerge({path: storage, snapshotInterval: 1})
+  hm1.on('error', err => t.fail(err.message))
+  hm1.once('ready', () => hm1.create({title: 'a'}).then(doc1 => {
+    const id = hm1.getId(doc1)
+
+    return hm1.changeAsync(doc1, doc => {
+      doc.test = 1
+    })
+    .then(doc => {
+      hm1.unload(id)
+      return hm1.open(id)
+    })
+    .then(doc => {
+      t.equal(doc.test, 1, 'the doc is read from the feed')
+      t.equal(hm1.metadata(id).title, 'a', 'the metadata is kept')
+    })
+  }))
+})
+
+test('documents are restored from snapshots on startup', t => {
+  t.plan(4)
+
+  const storage = persistentStorage()
+
+  const hm1 = new Hypermerge({path: storage, snapshotInterval: 2})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id = hm1.getId(doc1)
+
+    return hm1.changeAsync(doc1, doc => {
+      doc.test = 1
+    })
+    .then(doc => hm1.changeAsync(doc, doc => {
+      doc.test = 2
+    }))
+    .then(doc => hm1.changeAsync(doc, doc => {
+      doc.test = 3
+    }))
+    .then(() => {
+      t.ok(storage.files[`snapshots/${id}`], 'snapshot is written')
+
+      const applied = []
+      const origins = []
+      const hm2 = new Hypermerge({path: storage, snapshotInterval: 2})
+      hm2.on('document:changed', (docId, doc, {origin, changes}) => {
+        applied.push(...changes.map(({seq}) => seq))
+        origins.push(origin)
+      })
+      hm2.once('ready', () => {
+        hm2.open(id).then(doc => {
+          t.deepEqual(applied, [3], 'changes in the snapshot are not loaded again')
+          t.deepEqual(origins, ['local'], 'changes loaded from our own feed are local')
+          t.equal(doc.test, 3, 'changes after the snapshot are applied')
+        })
+      })
+    })
+  }))
+})
+
+test('long feeds are loaded in batches', t => {
+  t.plan(2)
+
+  const storage = persistentStorage()
+
+  const hm1 = new Hypermerge({path: storage, snapshotInterval: 0})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id = hm1.getId(doc1)
+
+    let doc = doc1
+    for (let i = 1; i <= 250; i++) {
+      doc = hm1.change(doc, doc => {
+        doc.test = i
+      })
+    }
+
+    return hm1.updateAsync(doc).then(() => {
+      const progress = []
+      const hm2 = new Hypermerge({path: storage})
+      hm2.on('feed:progress', (docId, actorId, loaded, total) => {
+        progress.push([loaded, total])
+      })
+      hm2.once('ready', () => {
+        hm2.open(id).then(doc => {
+          t.equal(doc.test, 250, 'all changes are applied')
+          t.deepEqual(progress, [[100, 250], [200, 250], [250, 250]],
+            'progress is reported for each batch')
+        })
+      })
+    })
+  }))
+})
+
+test('document:progress is emitted as a document loads', t => {
+  t.plan(3)
+
+  const storage = persistentStorage()
+
+  const hm1 = new Hypermerge({path: storage, snapshotInterval: 0})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id = hm1.getId(doc1)
+
+    let doc = doc1
+    for (let i = 1; i <= 150; i++) {
+      doc = hm1.change(doc, doc => {
+        doc.test = i
+      })
+    }
+
+    return hm1.updateAsync(doc).then(() => {
+      const progress = []
+      const hm2 = new Hypermerge({path: storage})
+      hm2.on('document:progress', (docId, loaded, total, pending) => {
+        if (docId === id) progress.push([loaded, total, pending])
+      })
+      hm2.once('ready', () => {
+        hm2.open(id).then(() => {
+          t.deepEqual(progress[0], [100, 150, [id]], 'reports partial progress')
+          t.deepEqual(progress[progress.length - 1], [150, 150, []],
+            'reports completion')
+          t.ok(progress.every(([loaded, total]) => loaded <= total),
+            'never loads more than the known total')
+        })
+      })
+    })
+  }))
+})
+
+test('.missingDeps() reports the changes a document is waiting on', t => {
+  t.plan(2)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => Promise.all([hm1.create(), hm1.create()])
+  .then(([docA, docB]) => {
+    const idA = hm1.getId(docA)
+
+    t.deepEqual(hm1.missingDeps(idA), [], 'nothing missing for a loaded doc')
+
+    const external = hm1.change(docB, doc => {
+      doc.test = 1
+    })
+    const [change] = Automerge.getChanges(docB, external)
+    const orphan = Object.assign({}, change, {
+      actor: 'f'.repeat(64),
+      seq: 2,
+      deps: {}
+    })
+    hm1.set(Automerge.applyChanges(docA, [orphan]))
+
+    t.deepEqual(hm1.missingDeps(idA), [{
+      actorId: 'f'.repeat(64),
+      have: 0,
+      need: 1,
+      hasFeed: false,
+      peers: 0
+    }], 'describes the missing change')
+  }))
+})
+
+test('.close() shuts down feeds and replication', t => {
+  t.plan(6)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => {
+    const hm2 = new Hypermerge({path: ram})
+    hm2.once('ready', () => {
+      const pump = new OnlineOfflinePump(hm1, hm2)
+
+      hm1.create().then(doc1 => {
+        const id = hm1.getId(doc1)
+        pump.goOnline()
+
+        const [stream] = hm1.core.streams
+        const pending = hm1.open('0'.repeat(64))
+
+        hm1.once('close', () => {
+          t.pass('emits close')
+        })
+
+        hm1.close(err => {
+          t.error(err, 'calls back without error')
+        })
+
+        return Promise.all([
+          hm1.close(),
+          pending.catch(err => {
+            t.ok(/closed/.test(err.message), 'pending opens are rejected')
+          })
+        ])
+        .then(() => {
+          t.ok(stream.destroyed, 'replication streams are destroyed')
+          t.notOk(hm1.feeds[id].readable, 'feeds are closed')
+          t.throws(() => hm1.create(), /closed/, 'methods throw after close')
+        })
+      })
+    })
+  })
+})
+
+test('.destroy() removes a document and purges its files', t => {
+  t.plan(6)
+
+  const dir = tmp.dirSync({unsafeCleanup: true}).name
+  const hm1 = new Hypermerge({path: dir, snapshotInterval: 1})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id = hm1.getId(doc1)
+
+    return hm1.changeAsync(doc1, doc => {
+      doc.test = 1
+    })
+    .then(() => {
+      t.ok(fs.existsSync(path.join(dir, 'feeds')), 'feed files exist')
+
+      return hm1.destroy(id, {purge: true})
+    })
+    .then(() => {
+      t.notOk(hm1.has(id), 'doc is removed')
+      t.notOk(hm1.docIndex[id] || hm1.metaIndex[id], 'doc and metadata indexes are cleaned')
+      t.notOk(hm1.groupIndex[id], 'group index is cleaned')
+      t.notOk(fs.existsSync(path.join(dir, 'feeds')), 'feed files are deleted')
+      t.notOk(fs.existsSync(path.join(dir, 'snapshots', id)), 'snapshot is deleted')
+    })
+  }))
+})
+
+test('.destroy() rejects pending opens of the document', t => {
+  t.plan(2)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => {
+    const id = '0'.repeat(64)
+
+    hm1.open(id).catch(err => {
+      t.ok(/destroyed before it was ready/.test(err.message), 'open rejects')
+    })
+    hm1.destroy(id).then(() => {
+      t.notOk(hm1.readyCallbacks[id], 'ready callbacks are cleaned')
+    })
+  })
+})
+
+test('documents are only loaded from storage once opened', t => {
+  t.plan(4)
+
+  const storage = persistentStorage()
+
+  const hm1 = new Hypermerge({path: storage})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id = hm1.getId(doc1)
+
+    return hm1.changeAsync(doc1, doc => {
+      doc.test = 1
+    })
+    .then(() => {
+      const hm2 = new Hypermerge({path: storage})
+      hm2.once('ready', () => {
+        t.notOk(hm2.has(id), 'doc is not loaded on startup')
+        t.notOk(hm2.feeds[id], 'feed is not tracked on startup')
+
+        hm2.open(id).then(doc => {
+          t.equal(doc.test, 1, 'doc is loaded when opened')
+          t.ok(hm2.feeds[id], 'feed is tracked once opened')
+        })
+      })
+    })
+  }))
+})
+
+test('.unload() drops a document from memory until it is reopened', t => {
+  t.plan(4)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id = hm1.getId(doc1)
+
+    return hm1.changeAsync(doc1, doc => {
+      doc.test = 1
+    })
+    .then(() => {
+      hm1.unload(id)
+
+      t.notOk(hm1.has(id), 'doc is dropped')
+      t.ok(hm1.feeds[id], 'feed is kept')
+
+      return hm1.open(id)
+    })
+    .then(doc => {
+      t.equal(doc.test, 1, 'doc is reloaded from its feed')
+      t.ok(hm1.isDocReady(id), 'reloaded doc is ready')
+    })
+  }))
+})
+
+test('least recently used documents are unloaded beyond maxDocs', t => {
+  t.plan(3)
+
+  const hm1 = new Hypermerge({path: ram, maxDocs: 1})
+  hm1.once('ready', () => hm1.create().then(docA => {
+    const idA = hm1.getId(docA)
+
+    return hm1.create().then(docB => {
+      const idB = hm1.getId(docB)
+
+      t.notOk(hm1.has(idA), 'older doc is unloaded')
+      t.ok(hm1.has(idB), 'newer doc is kept')
+
+      return hm1.open(idA)
+    })
+    .then(doc => {
+      t.ok(doc, 'unloaded doc can be reopened')
+    })
+  }))
+})
+
+test('metadata is loaded from the persisted index on startup', t => {
+  t.plan(4)
+
+  const storage = persistentStorage()
+
+  const hm1 = new Hypermerge({path: storage})
+  hm1.once('ready', () => hm1.create({title: 'indexed'}).then(doc1 => {
+    const id = hm1.getId(doc1)
+
+    return hm1.metadataWrites.then(() => {
+      const hm2 = new Hypermerge({path: storage})
+      hm2.once('ready', () => {
+        t.equal(hm2.metadata(id).title, 'indexed', 'metadata is restored')
+        t.deepEqual(hm2.docIndex[id], [id], 'doc index is restored')
+        t.ok(hm2.unvalidated[id], 'metadata is not read from the feed')
+
+        hm2.open(id).then(() => {
+          t.notOk(hm2.unvalidated[id], 'metadata is validated once opened')
+        })
+      })
+    })
+  }))
+})
+
+test('metadata updates are loaded from the persisted index on startup', t => {
+  t.plan(3)
+
+  const storage = persistentStorage()
+
+  const hm1 = new Hypermerge({path: storage})
+  hm1.once('ready', () => hm1.create({title: 'draft'}).then(doc1 => {
+    const id = hm1.getId(doc1)
+    hm1.setMetadata(id, {title: 'final'})
+
+    return hm1.metadataWrites.then(() => {
+      const hm2 = new Hypermerge({path: storage})
+      hm2.once('ready', () => {
+        t.equal(hm2.metadata(id).title, 'final', 'updates are restored')
+        t.equal(hm2.listDocuments()[0].metadata.title, 'final', 'documents are listed with updates')
+
+        hm2.open(id).then(() => {
+          t.equal(hm2.metadata(id).title, 'final', 'updates are kept once opened')
+        })
+      })
+    })
+  }))
+})
+
+test('stale lines in the metadata index are replaced and compacted', t => {
+  t.plan(3)
+
+  const storage = persistentStorage()
+
+  const hm1 = new Hypermerge({path: storage})
+  hm1.once('ready', () => hm1.create({title: 'indexed'}).then(doc1 => {
+    const id = hm1.getId(doc1)
+
+    hm1._persistMetadata(id, Object.assign({}, hm1.metadata(id), {title: 'stale'}))
+
+    return hm1.metadataWrites.then(() => {
+      const hm2 = new Hypermerge({path: storage})
+      hm2.once('ready', () => {
+        t.equal(hm2.metadata(id).title, 'stale', 'later lines replace earlier ones')
+
+        hm2.open(id).then(() => hm2.metadataWrites).then(() => {
+          const hm3 = new Hypermerge({path: storage})
+          hm3.once('ready', () => hm3.metadataWrites.then(() => {
+            const line = JSON.stringify({actorId: id, metadata: hm3.metaIndex[id]}) + '\n'
+
+            t.equal(hm3.metadata(id).title, 'indexed', 'the corrected line is loaded')
+            t.equal(hm3.metadataLength, Buffer.byteLength(line), 'the log is compacted')
+          }))
+        })
+      })
+    })
+  }))
+})
+
+test('.listDocuments() queries documents by metadata', t => {
+  t.plan(4)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => Promise.all([
+    hm1.create({title: 'a'}),
+    hm1.create({title: 'b'})
+  ])
+  .then(([docA, docB]) => {
+    const idA = hm1.getId(docA)
+    const idB = hm1.getId(docB)
+    hm1.change(docA, doc => {
+      doc.test = 1
+    })
+    const idC = hm1.getId(hm1.fork(idA))
+
+    const ids = docs => docs.map(({docId}) => docId).sort()
+
+    t.deepEqual(ids(hm1.listDocuments()), [idA, idB, idC].sort(), 'lists every document')
+    t.deepEqual(ids(hm1.listDocuments({parentId: idA})), [idC], 'filters by parentId')
+    t.deepEqual(hm1.listDocuments({where: ({title}) => title === 'b'}), [{
+      docId: idB,
+      metadata: hm1.metadata(idB)
+    }], 'filters with a function')
+    t.deepEqual(ids(hm1.documentsInGroup(idA)), [idA, idC].sort(), 'lists documents in a group')
+  }))
+})
+
+test('.setMetadata() updates metadata locally and on other nodes', t => {
+  t.plan(5)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => {
+    const hm2 = new Hypermerge({path: ram})
+    hm2.once('ready', () => {
+      const pump = new OnlineOfflinePump(hm1, hm2)
+
+      hm1.create({title: 'draft'}).then(doc1 => {
+        const id = hm1.getId(doc1)
+
+        hm1.once('metadata:updated', (docId, metadata) => {
+          t.equal(metadata.title, 'final', 'emits metadata:updated')
+        })
+        hm1.setMetadata(id, {title: 'final'})
+
+        t.equal(hm1.metadata(id).title, 'final', 'metadata is updated')
+        t.throws(() => hm1.setMetadata(id, {docId: 'other'}), /can't be changed/,
+          'reserved metadata keys are rejected')
+
+        pump.goOnline()
+
+        return hm2.open(id).then(() => {
+          t.equal(hm2.metadata(id).title, 'final', 'updates are replicated')
+
+          hm1.once('metadata:updated', (docId, metadata) => {
+            t.equal(metadata.tag, 'reviewed', 'updates from other actors are merged')
+          })
+          hm2.setMetadata(id, {tag: 'reviewed'})
+        })
+      })
+    })
+  })
+})
+
+test('changes without edits can follow each other', t => {
+  t.plan(3)
+
+  const hm = new Hypermerge({path: ram})
+  hm.once('ready', () => hm.create().then(doc => {
+    const docId = hm.getId(doc)
+
+    doc = hm.change(doc, doc => {
+      doc.test = 1
+    })
+    t.equal(hm.change(doc, () => {}), doc, 'a change that edits nothing is dropped')
+
+    const forkId = hm.getId(hm.fork(docId))
+    hm.setMetadata(docId, {title: 'a'})
+    hm.setMetadata(docId, {title: 'b'})
+    hm.tag(docId, 'v1')
+    hm.merge(docId, forkId)
+    doc = hm.merge(docId, forkId)
+
+    t.deepEqual(Object.keys(doc), ['_objectId', 'test'], 'leaves the doc as it was')
+    t.deepEqual([hm.metadata(docId).title, hm.tags(docId).length], ['b', 1],
+      'applies every change, the later one winning')
+  }))
+})
+
+test('metadata and tags merged in from other docs are not applied after a restart', t => {
+  t.plan(4)
+
+  ;[100, 1].forEach(snapshotInterval => {
+    const storage = persistentStorage()
+
+    const hm1 = new Hypermerge({path: storage, snapshotInterval})
+    hm1.once('ready', () => hm1.create({title: 'A'}).then(docA => {
+      const idA = hm1.getId(docA)
+      const idB = hm1.getId(hm1.fork(idA))
+
+      hm1.setMetadata(idB, {title: 'B renamed'})
+      hm1.tag(idB, 'fork-tag')
+
+      return hm1.changeAsync(hm1.find(idB), doc => {
+        doc.test = 1
+      })
+      .then(() => {
+        hm1.merge(idA, idB)
+        return hm1.changeAsync(hm1.find(idA), doc => {
+          doc.test = 2
+        })
+      })
+      .then(() => {
+        const hm2 = new Hypermerge({path: storage, snapshotInterval})
+        hm2.once('ready', () => hm2.open(idA).then(() => {
+          t.equal(hm2.metadata(idA).title, 'A', `keeps the doc's metadata (snapshotInterval: ${snapshotInterval})`)
+          t.deepEqual(hm2.tags(idA), [], `keeps the doc's tags (snapshotInterval: ${snapshotInterval})`)
+        }))
+      })
+    }))
+  })
+})
+
+test('.fork() records metadata and lineage', t => {
+  t.plan(6)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id1 = hm1.getId(doc1)
+
+    hm1.change(doc1, doc => {
+      doc.test = 1
+    })
+
+    t.throws(() => hm1.fork(id1, {docId: 'bogus'}), /Metadata can't be changed. key: docId/,
+      'reserved metadata can not be overridden')
+
+    const id2 = hm1.getId(hm1.fork(id1, {title: 'branch'}))
+    const id3 = hm1.getId(hm1.fork(id2))
+
+    t.equal(hm1.metadata(id2).title, 'branch', 'fork metadata is recorded')
+    t.equal(hm1.metadata(id2).parentId, id1, 'parentId is the forked doc')
+    t.deepEqual(hm1.forksOf(id1), [id2], 'lists forks of a doc')
+    t.deepEqual(hm1.ancestorsOf(id3), [id2, id1], 'lists ancestors of a doc')
+
+    const tree = hm1.forkTree(id1)
+    t.deepEqual(
+      tree.map(({docId, forks}) => [docId, forks.map(({docId, forks}) => [docId, forks.map(({docId}) => docId)])]),
+      [[id1, [[id2, [id3]]]]],
+      'builds the fork tree for the group')
+  }))
+})
+
+test('.previewMerge() shows a merge without committing it', t => {
+  t.plan(5)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id1 = hm1.getId(doc1)
+
+    hm1.change(doc1, doc => {
+      doc.test = 1
+    })
+    const id2 = hm1.getId(hm1.fork(id1))
+
+    hm1.change(hm1.find(id1), doc => {
+      doc.test = 2
+    })
+    hm1.change(hm1.find(id2), doc => {
+      doc.test = 3
+    })
+
+    const length = hm1.length(id1)
+    const {doc, changes, conflicts} = hm1.previewMerge(id1, id2)
+    const values = [2, 3]
+
+    t.ok(values.includes(doc.test), 'returns the merged doc')
+    t.deepEqual(Object.keys(changes), [hm1.getActorId(hm1.find(id2))],
+      'groups incoming changes by actor')
+    t.deepEqual(conflicts.map(({path, value, conflicts}) =>
+      [path, [value].concat(Object.values(conflicts)).sort()]),
+      [[['test'], values]], 'lists the fields that would conflict')
+    t.equal(hm1.find(id1).test, 2, 'dest doc is unchanged')
+    t.equal(hm1.length(id1), length, 'nothing is appended')
+  }))
+})
+
+test('.cherryPick() copies selected changes and their dependencies', t => {
+  t.plan(4)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id1 = hm1.getId(doc1)
+
+    hm1.change(doc1, doc => {
+      doc.test = 1
+    })
+    const doc2 = hm1.fork(id1)
+    const id2 = hm1.getId(doc2)
+
+    hm1.change(doc2, 'add a', doc => {
+      doc.a = 1
+    })
+    hm1.change(hm1.find(id2), 'add b', doc => {
+      doc.b = 2
+    })
+    hm1.change(hm1.find(id2), 'add c', doc => {
+      doc.c = 3
+    })
+
+    const picked = hm1.cherryPick(id1, id2, 'add b')
+    const own = Automerge.getChangesForActor(picked, hm1.getActorId(picked))
+
+    t.deepEqual([picked.test, picked.a, picked.b, picked.c], [1, 1, 2, undefined],
+      'copies the selected change and the changes it depends on')
+    t.equal(hm1.find(id1), picked, 'updates the destination doc')
+    t.equal(own[own.length - 1].message, `Cherry-picked 3 changes from ${id2}`,
+      'records the pick as a local change')
+
+    const actor = hm1.getActorId(hm1.find(id2))
+    hm1.cherryPick(id1, id2, [{actor, seq: 4}])
+    t.equal(hm1.find(id1).c, 3, 'selects changes by actor and seq')
+  }))
+})
+
+test('.history() lists the changes stored in the feeds of a doc', t => {
+  t.plan(3)
+
+  const hm = new Hypermerge({path: ram})
+  hm.once('ready', () => hm.create({title: 'history'}).then(doc => {
+    const docId = hm.getId(doc)
+
+    doc = hm.change(doc, 'first', doc => {
+      doc.test = 1
+    })
+    hm.change(doc, 'second', doc => {
+      doc.test = 2
+    })
+
+    hm.history(docId).then(history => {
+      t.deepEqual(history.map(({actorId, seq, deps, message, index}) =>
+        ({actorId, seq, deps, message, index})), [
+          {actorId: docId, seq: 1, deps: {}, message: 'first', index: 1},
+          {actorId: docId, seq: 2, deps: {}, message: 'second', index: 2}
+        ], 'lists each change')
+      t.equal(history[0].metadata.title, 'history', 'includes the author metadata')
+
+      const seqs = []
+      hm.historyStream(docId)
+      .on('data', ({seq}) => seqs.push(seq))
+      .on('end', () => t.deepEqual(seqs, [1, 2], 'streams each change'))
+    })
+  }))
+})
+
+test('.at() rebuilds a doc at a past clock', t => {
+  t.plan(4)
+
+  const hm = new Hypermerge({path: ram})
+  hm.once('ready', () => hm.create().then(doc => {
+    const docId = hm.getId(doc)
+
+    doc = hm.change(doc, doc => {
+      doc.test = 1
+    })
+    const clock = hm.clock(doc)
+
+    hm.change(doc, doc => {
+      doc.test = 2
+      doc.other = true
+    })
+
+    Promise.all([
+      hm.at(docId, clock),
+      hm.at(docId, clock.toJS()),
+      hm.at(docId, {changeIndex: 1}),
+      hm.at(docId, {changeIndex: 0})
+    ]).then(([fromClock, fromObject, fromIndex, initial]) => {
+      t.deepEqual([fromClock.test, fromClock.other], [1, undefined],
+        'replays changes up to the clock')
+      t.equal(fromObject.test, 1, 'accepts a plain clock')
+      t.equal(fromIndex.test, 1, 'accepts a change index')
+      t.equal(initial.test, undefined, 'rebuilds the empty doc')
+    })
+  }))
+})
+
+test('.at() reads long feeds in batches', t => {
+  t.plan(2)
+
+  const hm = new Hypermerge({path: ram})
+  hm.once('ready', () => hm.create().then(doc => {
+    const docId = hm.getId(doc)
+
+    for (let i = 1; i <= 150; i++) {
+      doc = hm.change(doc, doc => {
+        doc.count = i
+      })
+    }
+
+    let reading = 0
+    let maxReading = 0
+    const getBlock = hm._getBlock
+    hm._getBlock = (actorId, index) => {
+      maxReading = Math.max(maxReading, ++reading)
+      return getBlock.call(hm, actorId, index).then(block => {
+        reading--
+        return block
+      })
+    }
+
+    hm.at(docId, hm.clock(doc)).then(doc => {
+      t.equal(doc.count, 150, 'reads every change')
+      t.ok(maxReading <= 100, 'reads at most a batch of blocks at once')
+    })
+  }))
+})
+
+test('.diff() lists the edits between two clocks', t => {
+  t.plan(2)
+
+  const hm = new Hypermerge({path: ram})
+  hm.once('ready', () => hm.create().then(doc => {
+    const docId = hm.getId(doc)
+
+    doc = hm.change(doc, doc => {
+      doc.title = 'a'
+      doc.removed = true
+      doc.list = [1]
+      doc.text = new Automerge.Text()
+      doc.text.insertAt(0, 'h')
+    })
+    const clock = hm.clock(doc)
+
+    doc = hm.change(doc, doc => {
+      doc.title = 'b'
+      delete doc.removed
+      doc.list.insertAt(1, 2)
+      doc.text.insertAt(1, 'i')
+      doc.nested = {test: 1}
+    })
+
+    const fork = hm.fork(docId)
+    hm.change(fork, doc => {
+      doc.title = 'c'
+    })
+
+    Promise.all([
+      hm.diff(docId, clock),
+      hm.diffForks(docId, hm.getId(fork))
+    ]).then(([diff, forkDiff]) => {
+      t.deepEqual(diff.map(({action, type, path, value}) =>
+        [action, type, path, value && (value.test || value)]), [
+          ['update', 'map', ['title'], 'b'],
+          ['delete', 'map', ['removed'], undefined],
+          ['insert', 'list', ['list', 1], 2],
+          ['insert', 'text', ['text', 1], 'i'],
+          ['add', 'map', ['nested'], 1]
+        ], 'lists path-level edits')
+      t.deepEqual(forkDiff, [{action: 'update', type: 'map', path: ['title'], value: 'c'}],
+        'lists the edits a fork would bring')
+    })
+  }))
+})
+
+test('.tag() names a version that .restore() reverts to', t => {
+  t.plan(5)
+
+  const hm = new Hypermerge({path: ram})
+  hm.once('ready', () => hm.create().then(doc => {
+    const docId = hm.getId(doc)
+
+    doc = hm.change(doc, doc => {
+      doc.title = 'draft'
+      doc.list = [{test: 1}]
+      doc.text = new Automerge.Text()
+      doc.text.insertAt(0, 'h', 'i')
+    })
+    doc = hm.tag(docId, 'v1 submitted')
+
+    hm.change(doc, doc => {
+      doc.title = 'final'
+      doc.list[0].test = 2
+      doc.text.deleteAt(0)
+      doc.extra = true
+    })
+
+    const tags = hm.tags(docId)
+    t.deepEqual(tags.map(({name, clock, actorId}) => ({name, clock, actorId})),
+      [{name: 'v1 submitted', clock: {[docId]: 1}, actorId: docId}], 'lists tags')
+
+    hm.restore(docId, 'v1 submitted').then(doc => {
+      t.equal(doc.title, 'draft', 'restores values')
+      t.deepEqual([doc.list[0].test, doc.text.join('')], [1, 'hi'], 'restores nested values')
+      t.notOk('extra' in doc, 'removes values added since')
+
+      return hm.restore(docId, 'missing')
+    }).catch(err => t.equal(err.message, 'Unknown tag. name: missing', 'rejects unknown tags'))
+  }))
+})
+
+test('.undo() and .redo() only revert local changes', t => {
+  t.plan(6)
+
+  const hm = new Hypermerge({path: ram})
+  hm.once('ready', () => hm.create().then(doc => {
+    const docId = hm.getId(doc)
+    const state = () => JSON.parse(JSON.stringify(hm.find(docId), (key, value) =>
+      key === '_objectId' ? undefined : value instanceof Automerge.Text ? value.join('') : value))
+
+    doc = hm.change(doc, doc => {
+      doc.title = 'a'
+      doc.list = ['x', 'y']
+      doc.text = new Automerge.Text()
+      doc.text.insertAt(0, 'h', 'i')
+    })
+    doc = hm.change(doc, doc => {
+      doc.title = 'b'
+      doc.list.deleteAt(0)
+      doc.text.insertAt(2, '!')
+    })
+    doc = hm.change(doc, doc => {
+      doc.list.insertAt(0, 'z')
+    })
+
+    const fork = hm.fork(docId)
+    hm.change(fork, doc => {
+      doc.other = true
+    })
+    hm.merge(docId, hm.getId(fork))
+
+    hm.undo(docId)
+    hm.undo(docId)
+    t.deepEqual(state(), {title: 'a', list: ['x', 'y'], text: 'hi', other: true},
+      'undo reverts the last local changes and keeps remote changes')
+
+    hm.undo(docId)
+    t.deepEqual(state(), {other: true}, 'undo reverts earlier local changes')
+    t.equal(hm.undo(docId), hm.find(docId), 'does nothing when there is nothing to undo')
+
+    hm.redo(docId)
+    hm.redo(docId)
+    hm.redo(docId)
+    t.deepEqual(state(), {title: 'b', list: ['z', 'y'], text: 'hi!', other: true},
+      'redo reapplies undone changes')
+
+    hm.undo(docId)
+    hm.change(hm.find(docId), doc => {
+      doc.title = 'c'
+    })
+    hm.redo(docId)
+    t.equal(state().title, 'c', 'a new change clears what can be redone')
+
+    hm.undo(docId)
+    t.equal(state().title, 'b', 'undo reverts the new change')
+  }))
+})
+
+test('.undo() only keeps maxUndo changes', t => {
+  t.plan(2)
+
+  const hm = new Hypermerge({path: ram, maxUndo: 2})
+  hm.once('ready', () => hm.create().then(doc => {
+    const docId = hm.getId(doc)
+
+    for (let i = 1; i <= 3; i++) {
+      doc = hm.change(doc, doc => {
+        doc.test = i
+      })
+    }
+
+    hm.undo(docId)
+    t.equal(hm.undo(docId).test, 1, 'undoes the latest changes')
+    t.equal(hm.undo(docId).test, 1, 'drops older ones')
+  }))
+})
+
+test('.undo() keeps values other actors wrote over the change', t => {
+  t.plan(3)
+
+  const hm = new Hypermerge({path: ram})
+  hm.once('ready', () => hm.create().then(doc => {
+    const docId = hm.getId(doc)
+
+    doc = hm.change(doc, doc => {
+      doc.list = ['x']
+    })
+    hm.change(doc, doc => {
+      doc.title = 'a'
+      doc.list.insertAt(1, 'y')
+    })
+    const fork = hm.fork(docId)
+    hm.change(fork, doc => {
+      doc.title = 'b'
+      doc.list[1] = 'z'
+    })
+    hm.merge(docId, hm.getId(fork))
+
+    doc = hm.undo(docId)
+    t.equal(doc.title, 'b', 'keeps fields written since')
+    t.deepEqual(doc.list.slice(), ['x', 'z'], 'keeps elements written since')
+    t.equal(hm.redo(docId).title, 'b', 'redo keeps them too')
+  }))
+})
+
+test('.undo() keeps the change undoable when the revert is rejected', t => {
+  t.plan(4)
+
+  const hm = new Hypermerge({path: ram})
+  hm.once('ready', () => hm.create().then(doc => {
+    const docId = hm.getId(doc)
+
+    hm.change(doc, doc => {
+      doc.title = 'a'
+    })
+    hm.setValidator(docId, doc => {
+      if (!doc.title) throw new Error('title is required')
+    })
+
+    t.throws(() => hm.undo(docId), /title is required/, 'throws when the revert is invalid')
+    t.equal(hm.redo(docId), hm.find(docId), 'there is nothing to redo')
+
+    hm.setValidator(docId, null)
+    t.notOk('title' in hm.undo(docId), 'the change can still be undone')
+    t.equal(hm.redo(docId).title, 'a', 'and redone')
+  }))
+})
+
+test('document:conflict is emitted for conflicting merges', t => {
+  t.plan(5)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => hm1.create().then(doc1 => {
+    const id1 = hm1.getId(doc1)
+
+    hm1.change(doc1, doc => {
+      doc.test = 1
+    })
+    const id2 = hm1.getId(hm1.fork(id1))
+
+    hm1.change(hm1.find(id1), doc => {
+      doc.test = 2
+    })
+    hm1.change(hm1.find(id2), doc => {
+      doc.test = 3
+    })
+
+    hm1.once('document:conflict', (docId, conflicts) => {
+      const [{path, value, conflicts: values, actors}] = conflicts
+      const [actorId] = Object.keys(values)
+
+      t.equal(docId, id1, 'emits the docId')
+      t.deepEqual(path, ['test'], 'lists the conflicting path')
+      t.deepEqual([value, values[actorId]].sort(), [2, 3], 'lists the competing values')
+      t.deepEqual(actors[actorId], hm1.metadata(actorId), 'includes actor metadata')
+    })
+    hm1.merge(id1, id2)
+
+    const doc = hm1.resolveConflict(id1, ['test'], 2)
+    t.deepEqual([doc.test, Object.keys(doc._conflicts)], [2, []], 'resolves the conflict')
+  }))
+})
+
+test('.setValidator() rejects local and quarantines remote invalid changes', t => {
+  t.plan(6)
+
+  const validate = doc => {
+    if (doc.count !== undefined && typeof doc.count !== 'number') throw new Error('count must be a number')
+  }
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => {
+    const hm2 = new Hypermerge({path: ram, validate})
+    hm2.once('ready', () => {
+      const pump = new OnlineOfflinePump(hm1, hm2)
+
+      hm1.create().then(doc1 => {
+        const id = hm1.getId(doc1)
+        hm1.setValidator(id, validate)
+
+        doc1 = hm1.change(doc1, doc => {
+          doc.count = 1
+        })
+        t.throws(() => hm1.change(doc1, doc => {
+          doc.count = 'many'
+        }), /count must be a number/, 'local invalid changes throw')
+        t.equal(hm1.find(id).count, 1, 'local invalid changes are not applied')
+
+        hm1.setValidator(id, null)
+        pump.goOnline()
+
+        return hm2.open(id).then(() => {
+          hm2.on('document:updated', (docId, doc) => {
+            t.fail('quarantined changes are not surfaced')
+          })
+          hm2.once('document:quarantined', (docId, actorId, error) => {
+            t.equal(actorId, id, 'reports the offending actor')
+            t.equal(error.message, 'count must be a number', 'reports the error')
+            t.equal(hm2.find(id).count, 1, 'remote invalid changes are not applied')
+            t.deepEqual(hm2.quarantined(id).map(({actorId, changes}) =>
+              [actorId, changes.length]), [[id, 1]], 'lists quarantined changes')
+          })
+
+          hm1.change(hm1.find(id), doc => {
+            doc.count = 'many'
+          })
+        })
+      })
+    })
+  })
+})
+
+test('blocks that are not changes Automerge can apply are quarantined', t => {
+  t.plan(5)
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => {
+    const hm2 = new Hypermerge({path: ram})
+    hm2.once('ready', () => {
+      const pump = new OnlineOfflinePump(hm1, hm2)
+
+      hm1.create().then(doc1 => {
+        const id = hm1.getId(doc1)
+        pump.goOnline()
+
+        return hm2.open(id).then(() => {
+          hm2.once('document:quarantined', (docId, actorId, error, changes) => {
+            t.equal(actorId, id, 'reports the offending actor')
+            t.ok(error instanceof SyntaxError, 'reports blocks that are not JSON')
+            t.deepEqual(changes, ['not a change'], 'lists the blocks')
+          })
+          hm1._feed(id).append('not a change')
+
+          const actorId = 'ff'.repeat(32)
+          hm1._applyChanges(id, actorId, [{
+            actor: actorId,
+            seq: 1,
+            deps: {},
+            ops: [{action: 'set', obj: 'unknown', key: 'test', value: 1}]
+          }])
+          t.equal(hm1.quarantined(id)[0].error.message, 'Modification of unknown object unknown',
+            'quarantines changes Automerge rejects')
+          t.notOk('test' in hm1.find(id), 'rejected changes are not applied')
+        })
+      })
+    })
+  })
+})
+
+test('.registerMigration() migrates documents once when they are ready', t => {
+  t.plan(9)
+
+  const migrate = hm => {
+    hm.registerMigration(0, 1, doc => {
+      doc.items = []
+    })
+    hm.registerMigration(1, 2, doc => {
+      doc.items.push('default')
+    })
+  }
+
+  const hm1 = new Hypermerge({path: ram})
+  hm1.once('ready', () => {
+    const hm2 = new Hypermerge({path: ram})
+    hm2.once('ready', () => {
+      const pump = new OnlineOfflinePump(hm1, hm2)
+      migrate(hm2)
+
+      t.throws(() => hm2.registerMigration(2, 1, () => {}), /must increase/,
+        'migrations must increase the version')
+
+      let id
+      hm1.create().then(doc => {
+        id = hm1.getId(doc)
+        pump.goOnline()
+
+        return hm2.open(id)
+      })
+      .then(doc => {
+        t.notOk('items' in doc, 'peers wait for the creator to migrate')
+
+        const received = new Promise(resolve => {
+          hm2.on('document:changed', (docId, doc) => {
+            if (docId === id && doc.items && doc.items.length) resolve(doc)
+          })
+        })
+
+        migrate(hm1)
+        hm1.unload(id)
+        return hm1.open(id).then(() => received)
+      })
+      .then(doc => {
+        t.deepEqual(doc.items, ['default'], 'the creator migrates the doc in order, and peers receive it')
+        t.equal(hm2.metadata(id).schemaVersion, 2, 'records the schema version in the metadata')
+
+        hm1.unload(id)
+        return hm1.open(id)
+      })
+      .then(doc => {
+        t.deepEqual(doc.items, ['default'], 'reopened documents are not migrated again')
+
+        const forkId = hm1.getId(hm1.fork(id))
+        return hm1.open(forkId).then(fork => {
+          t.deepEqual(fork.items, ['default'], 'forks of migrated documents are not migrated again')
+
+          hm1.change(fork, doc => {
+            doc.items.push('forked')
+          })
+          t.deepEqual(hm1.merge(id, forkId).items, ['default', 'forked'],
+            'merging the fork back does not apply migrations twice')
+
+          return hm1.create()
+        })
+      })
+      .then(doc => {
+        t.notOk('items' in doc, 'new documents are not migrated')
+        t.equal(hm1.metadata(hm1.getId(doc)).schemaVersion, 2, 'new documents start at the latest version')
+      })
+    })
+  })
+})
+
+test('a failing migration rejects opening the document', t => {
+  t.plan(3)
+
+  const hm = new Hypermerge({path: ram})
+  hm.once('ready', () => {
+    let id
+
+    hm.create().then(doc => {
+      id = hm.getId(doc)
+
+      hm.registerMigration(0, 1, () => {
+        throw new Error('broken migration')
+      })
+      hm.unload(id)
+
+      return hm.create()
+    })
+    .then(doc => {
+      t.ok(doc, 'creating documents does not run migrations')
+
+      return hm.open(id)
+    })
+    .catch(err => {
+      t.equal(err.message, 'broken migration', 'rejects with the error')
+
+      hm.registerMigration(0, 1, doc => {
+        doc.fixed = true
+      })
+      return hm.open(id)
+    })
+    .then(doc => t.ok(doc.fixed, 'migrates the document when it is opened again'))
   })
 })
@@ -37,7 +37,7 @@ class OnlineOfflinePump {
       }),
       stream1,
       err => {
-        if (err && err.message !== 'Offline') {
+        if (err && err.message !== 'Offline' && err.message !== 'premature close') {
           console.error('Replicate error', err)
         }
       }
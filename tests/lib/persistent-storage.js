@@ -0,0 +1,10 @@
+const ram = require('random-access-memory')
+
+// Storage that keeps its files between Hypermerge instances, to simulate a
+// restart. The files are exposed as `storage.files`, by name.
+module.exports = function persistentStorage () {
+  const files = {}
+  const storage = name => files[name] || (files[name] = ram())
+  storage.files = files
+  return storage
+}